@@ -0,0 +1,137 @@
+/* eslint-env serviceworker */
+/**
+ * Service worker for offline use. Precaches the app shell, caches Open Library
+ * cover images as they are viewed and serves both from the cache when the network
+ * is unavailable. Saved books' covers live in their own cache, kept in step with
+ * the saved lists by the app, so browsing can never evict them.
+ */
+
+const SHELL_CACHE = 'book-finder-shell-v1';
+const COVERS_CACHE = 'book-finder-covers-v1';
+const SAVED_COVERS_CACHE = 'book-finder-saved-covers-v1';
+const CACHE_NAMES = [SHELL_CACHE, COVERS_CACHE, SAVED_COVERS_CACHE];
+const COVERS_ORIGIN = 'https://covers.openlibrary.org';
+const MAX_COVERS = 500;
+
+const shellUrl = (path) => new URL(path, self.registration.scope).href;
+
+/**
+ * Caches index.html and the hashed bundles it references, which change on every build
+ */
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch(shellUrl('index.html'), { cache: 'no-cache' });
+  const html = await response.clone().text();
+  const assets = Array.from(html.matchAll(/(?:src|href)="([^"]*\/static\/[^"]+)"/g), match => shellUrl(match[1]));
+  await cache.put(shellUrl('index.html'), response);
+  await cache.addAll(assets);
+};
+
+// Cross-origin <img> requests come back opaque, which is still worth caching
+const isCacheable = (response) => response && (response.ok || response.type === 'opaque');
+
+/**
+ * Drops the oldest browsed covers once the cache holds more than MAX_COVERS.
+ * Only used on COVERS_CACHE; saved covers are never trimmed.
+ */
+const trimCovers = async (cache) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_COVERS)).map(key => cache.delete(key)));
+};
+
+/**
+ * Covers come from the saved covers first, then the browsed ones, then the network
+ */
+const coverCacheFirst = async (request) => {
+  const saved = await (await caches.open(SAVED_COVERS_CACHE)).match(request);
+  return saved || cacheFirst(request, COVERS_CACHE);
+};
+
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    await cache.put(request, response.clone());
+    if (cacheName === COVERS_CACHE) trimCovers(cache);
+  }
+  return response;
+};
+
+/**
+ * Pages load from the network when possible, falling back to the cached shell so
+ * every client-side route still opens offline
+ */
+const networkFirstNavigation = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(shellUrl('index.html'), response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(shellUrl('index.html'));
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+/**
+ * Makes the saved covers cache hold exactly the covers of the saved books:
+ * covers of books no longer saved are dropped and missing ones are copied from
+ * the browsed covers or fetched
+ * @param {Array<string>} urls - Cover image URLs of every saved book
+ */
+const syncSavedCovers = async (urls) => {
+  const cache = await caches.open(SAVED_COVERS_CACHE);
+  const browsed = await caches.open(COVERS_CACHE);
+  const wanted = new Set(urls.filter(url => url.startsWith(COVERS_ORIGIN)));
+
+  const keys = await cache.keys();
+  await Promise.all(keys.filter(key => !wanted.has(key.url)).map(key => cache.delete(key)));
+
+  for (const url of wanted) {
+    if (await cache.match(url)) continue;
+    try {
+      const response = (await browsed.match(url)) || await fetch(url, { mode: 'no-cors' });
+      if (isCacheable(response)) await cache.put(url, response);
+    } catch (err) {
+      // Try again the next time the app sends its saved covers
+    }
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names.filter(name => !CACHE_NAMES.includes(name)).map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === COVERS_ORIGIN) {
+    event.respondWith(coverCacheFirst(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirstNavigation(request));
+  } else if (url.origin === self.location.origin && url.pathname.includes('/static/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SYNC_SAVED_COVERS') {
+    event.waitUntil(syncSavedCovers(event.data.urls || []));
+  }
+});
@@ -0,0 +1,1487 @@
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import BookCard from './components/BookCard';
+import BookDetailsModal from './components/BookDetailsModal';
+import AuthorProfile from './components/AuthorProfile';
+import CollectionsIndex from './components/CollectionsIndex';
+import CollectionView from './components/CollectionView';
+import usePersistentList from './usePersistentList';
+import ListTransferControls from './components/ListTransferControls';
+import BibliographyControls from './components/BibliographyControls';
+import { READING_STATUSES, createReadingEntry, updateReadingEntry, withReadingDefaults } from './readingStatus';
+import { mergeBooks } from './listTransfer';
+import { parseLocation, buildUrl, EMPTY_FILTERS } from './urlState';
+import {
+  createCollection,
+  toggleBookInCollection,
+  removeBookFromCollection,
+  transferBook,
+  editCollection,
+  setCollectionBooks,
+  deleteCollection,
+  getAllSavedBooks
+} from './collections';
+import { buildFacets, facetToFilters } from './facets';
+import FacetPanel from './components/FacetPanel';
+import ActiveFilterChips from './components/ActiveFilterChips';
+import SearchAutocomplete from './components/SearchAutocomplete';
+import useDebouncedValue from './useDebouncedValue';
+import { addRecentQuery, getRecentQueries } from './recentQueries';
+import { getQuickSearches } from './recommendations';
+import useRecommendations from './useRecommendations';
+import RecommendationsPanel from './components/RecommendationsPanel';
+import SearchHistoryPanel from './components/SearchHistoryPanel';
+import ComparisonTray from './components/ComparisonTray';
+import ComparisonModal from './components/ComparisonModal';
+import { toggleComparison } from './comparison';
+import {
+  getSearchSignature,
+  recordSearch,
+  createSavedSearch,
+  findSavedSearch,
+  getNewResultKeys,
+  recordSavedSearchRun
+} from './searchHistory';
+import { getCachedResponse, setCachedResponse } from './responseCache';
+import CacheInspector from './components/CacheInspector';
+import OfflineBanner from './components/OfflineBanner';
+import useOnlineStatus from './useOnlineStatus';
+import useAppearance from './useAppearance';
+import AppearanceControls from './components/AppearanceControls';
+import { isOffline, syncSavedCovers } from './offline';
+import { parseIsbn, isValidIsbn, lookupIsbn } from './isbn';
+import BarcodeScanner, { canScanBarcodes } from './components/BarcodeScanner';
+import QueryBuilder from './components/QueryBuilder';
+import VirtualBookGrid from './components/VirtualBookGrid';
+import useInfiniteScroll from './useInfiniteScroll';
+import EditionGroupCard from './components/EditionGroupCard';
+import { groupBooks, withoutLoaded } from './editionGroups';
+import Pagination from './components/Pagination';
+import { PAGE_SIZES, DEFAULT_PAGE_SIZE, getTotalPages } from './paging';
+import { createClause, compileQuery } from './advancedQuery';
+import openLibrary, { buildSearchUrl, getErrorMessage, coverUrl, ERROR_CATEGORIES } from './openLibrary';
+import { SORT_OPTIONS, DEFAULT_SORT, getApiSort, sortBooks } from './sortOptions';
+
+/**
+ * Main App component for the Book Finder application
+ * Handles search functionality, API calls, and displays results
+ */
+function App() {
+  // Route read from the URL on first load (view, query, type, filters, page)
+  const [initialRoute] = useState(() => parseLocation(window.location));
+
+  // State management
+  const [searchQuery, setSearchQuery] = useState(initialRoute.query);
+  const [searchType, setSearchType] = useState(initialRoute.type); // 'title', 'author', 'subject', 'isbn', 'advanced'
+  const [books, setBooks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Read out by screen readers as searches start and finish
+  const [announcement, setAnnouncement] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [hasMoreResults, setHasMoreResults] = useState(false);
+  // numFound from the API, and the first page currently loaded (later ones are appended by Load More)
+  const [totalResults, setTotalResults] = useState(0);
+  const [firstPage, setFirstPage] = useState(1);
+  const [pageSize, setPageSize] = useState(initialRoute.pageSize);
+  
+  // New state for enhanced features (saved lists persist across sessions and tabs)
+  const [collections, setCollections, collectionsLoaded] = usePersistentList('collections');
+  const [readingList, setReadingList, readingListLoaded] = usePersistentList('readingList');
+  const [searchHistory, setSearchHistory] = usePersistentList('searchHistory');
+  const [savedSearches, setSavedSearches] = usePersistentList('savedSearches');
+  // Results that weren't in the last run of the saved search on screen: { signature, keys }
+  const [newResults, setNewResults] = useState(null);
+  const [selectedBook, setSelectedBook] = useState(null);
+  const [citingSelectedBook, setCitingSelectedBook] = useState(false);
+  const [comparedBooks, setComparedBooks] = useState([]);
+  const [showComparison, setShowComparison] = useState(false);
+  const [view, setView] = useState(initialRoute.view); // 'search', 'collections', 'collection', 'reading-list', 'author'
+  const [authorKey, setAuthorKey] = useState(initialRoute.authorKey);
+  const [collectionId, setCollectionId] = useState(initialRoute.collectionId);
+  const [filters, setFilters] = useState(initialRoute.filters);
+  const [sortBy, setSortBy] = useState(initialRoute.sort);
+  const [showFilters, setShowFilters] = useState(false);
+  const [readingStatusFilter, setReadingStatusFilter] = useState('all');
+  const [liveSearch, setLiveSearch] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  const [infiniteScroll, setInfiniteScroll] = useState(false);
+  const [groupEditions, setGroupEditions] = useState(true);
+  const debouncedQuery = useDebouncedValue(searchQuery, 400);
+  const debouncedFilters = useDebouncedValue(filters, 400);
+  const online = useOnlineStatus();
+  const { recommendations, profile: tasteProfile, loading: recommendationsLoading } = useRecommendations(collections, readingList);
+  const [appearance, setAppearance] = useAppearance();
+  // Search attempted while offline, rerun when the connection returns. Only the latest
+  // is kept since each search replaces the results of the one before it.
+  const [queuedSearch, setQueuedSearch] = useState(null);
+
+  // URL of the search currently shown, used to skip refetching on history navigation
+  const lastSearchUrl = useRef(null);
+  // Controller for the in-flight search request, aborted when a newer search starts
+  const searchController = useRef(null);
+  // Scroll position of the search results, restored when coming back from another view
+  const searchScrollY = useRef(0);
+  // Top of the results section, scrolled to when changing pages
+  const resultsRef = useRef(null);
+  // Read by fetchBooks, which is created once
+  const savedSearchesRef = useRef(savedSearches);
+  savedSearchesRef.current = savedSearches;
+  // First page of the search on screen, the baseline for a saved search pinned from it
+  const lastRun = useRef(null);
+
+  /**
+   * Records an executed search in the history when the user ran it explicitly and,
+   * for the first page of a saved search, marks the results that weren't there on its last run
+   * @param {Object} search - { query, type, filters, sort }
+   * @param {number} page - Page that was loaded
+   * @param {number} numFound - Total results
+   * @param {Array} docs - Docs of the loaded page
+   * @param {boolean} addToHistory - Whether to add the search to the search history
+   */
+  const recordSearchRun = useCallback((search, page, numFound, docs, addToHistory) => {
+    const signature = getSearchSignature(search);
+    if (addToHistory) setSearchHistory(prev => recordSearch(prev, search, numFound));
+
+    if (page !== 1) {
+      setNewResults(prev => (prev && prev.signature === signature ? prev : null));
+      return;
+    }
+
+    lastRun.current = { signature, numFound, docs };
+    const saved = findSavedSearch(savedSearchesRef.current, search);
+    if (!saved) {
+      setNewResults(null);
+      return;
+    }
+    setNewResults({ signature, keys: new Set(getNewResultKeys(saved, docs)) });
+    setSavedSearches(prev => recordSavedSearchRun(prev, saved.id, numFound, docs));
+  }, [setSearchHistory, setSavedSearches]);
+
+  /**
+   * Fetches books from Open Library API with enhanced search options
+   * @param {string} query - Search query
+   * @param {string} type - Search type ('title', 'author', 'subject', 'isbn')
+   * @param {number} page - Page number for pagination
+   * @param {boolean} append - Whether to append results to existing books
+   * @param {Object} activeFilters - Year/language/subject/author/publisher filters to apply
+   * @param {string} sort - Sort mode, passed to the API when it supports it
+   * @param {number} limit - Results per page
+   * @param {boolean} record - Whether to add the search to the search history; only
+   * searches the user runs explicitly are recorded, not live search or paging
+   * @returns {Promise<boolean>} Whether more pages are available
+   */
+  const fetchBooks = useCallback(async (query, type, page = 1, append = false, activeFilters = EMPTY_FILTERS, sort = DEFAULT_SORT, limit = DEFAULT_PAGE_SIZE, record = false) => {
+    if (!query.trim()) return false;
+
+    // Cancel any slower request still running so it can't overwrite these results
+    if (searchController.current) {
+      searchController.current.abort();
+    }
+    const controller = new AbortController();
+    searchController.current = controller;
+
+    setLoading(true);
+    setError(null);
+    setQueuedSearch(null);
+    setAnnouncement(append ? 'Loading more books…' : `Searching for ${query.trim()}…`);
+
+    // A background refresh of cached results shouldn't count as a second run
+    let recorded = false;
+
+    /**
+     * Puts a search response on screen and reports whether more pages exist
+     */
+    const showResults = (data) => {
+      const total = data.numFound !== undefined ? data.numFound : (data.docs || []).length;
+      setTotalResults(total);
+
+      if (!append && !recorded) {
+        recorded = true;
+        recordSearchRun({ query, type, filters: activeFilters, sort }, page, total, data.docs || [], record);
+      }
+
+      if (data.docs && data.docs.length > 0) {
+        const newBooks = data.docs;
+        const hasMore = page * limit < total;
+        // Results can shift between page requests, so drop docs that are already loaded
+        setBooks(prevBooks => append ? [...prevBooks, ...withoutLoaded(prevBooks, newBooks)] : newBooks);
+        setHasMoreResults(hasMore);
+        setCurrentPage(page);
+        if (!append) setFirstPage(page);
+        setAnnouncement(append
+          ? `Loaded ${newBooks.length} more books`
+          : `Found ${total.toLocaleString()} ${total === 1 ? 'book' : 'books'}`);
+        return hasMore;
+      }
+
+      if (!append) {
+        setBooks([]);
+      }
+      setHasMoreResults(false);
+      setAnnouncement(append ? 'No more books' : 'No books found');
+      return false;
+    };
+
+    try {
+      // ISBN searches resolve one exact edition instead of calling search.json
+      if (type === 'isbn') {
+        if (!isValidIsbn(query)) {
+          setError(`"${query.trim()}" is not a valid ISBN-10 or ISBN-13. Check the digits and try again.`);
+          if (!append) setBooks([]);
+          setHasMoreResults(false);
+          return false;
+        }
+        const book = await lookupIsbn(query, { signal: controller.signal });
+        if (controller.signal.aborted) return false;
+        return showResults({ docs: [book] });
+      }
+
+      const apiUrl = buildSearchUrl({ query, type, page, limit, filters: activeFilters, sort: getApiSort(sort) });
+
+      // Serve cached results instantly; refresh stale ones in the background
+      const cached = getCachedResponse(apiUrl);
+      if (cached) {
+        if (cached.stale) {
+          openLibrary.getJson(apiUrl, { signal: controller.signal })
+            .then(data => {
+              if (!data || controller.signal.aborted) return;
+              setCachedResponse(apiUrl, data);
+              // Appended pages only refresh the cache so the grid doesn't jump
+              if (!append) showResults(data);
+            })
+            .catch(() => {
+              // Keep showing the cached results if the refresh fails
+            });
+        }
+        return showResults(cached.data);
+      }
+
+      // Without a connection, hold the search until the browser is back online
+      if (isOffline()) {
+        setQueuedSearch({ query, type, page, append, filters: activeFilters, sort, limit, record });
+        if (!append) setBooks([]);
+        return false;
+      }
+
+      const data = await openLibrary.getJson(apiUrl, { signal: controller.signal });
+      if (controller.signal.aborted) return false;
+
+      setCachedResponse(apiUrl, data);
+      return showResults(data);
+    } catch (err) {
+      if (err.name === 'AbortError') return false;
+      if (err.category === ERROR_CATEGORIES.NETWORK && isOffline()) {
+        setQueuedSearch({ query, type, page, append, filters: activeFilters, sort, limit, record });
+      } else if (type === 'isbn' && err.category === ERROR_CATEGORIES.NOT_FOUND) {
+        setError(`Open Library has no edition with ISBN ${query.trim()}.`);
+      } else {
+        setError(`Failed to fetch books: ${getErrorMessage(err)}`);
+      }
+      if (!append) {
+        setBooks([]);
+      }
+      return false;
+    } finally {
+      // A newer search owns the loading state once this one has been superseded.
+      // The controller stays current so a newer search can still cancel a background refresh.
+      if (searchController.current === controller) {
+        setLoading(false);
+      }
+    }
+  }, [recordSearchRun]);
+
+  /**
+   * Run the queued offline search once the connection returns
+   */
+  useEffect(() => {
+    if (!online || isOffline() || !queuedSearch) return;
+    const { query, type, page, append, filters: queuedFilters, sort, limit, record } = queuedSearch;
+    fetchBooks(query, type, page, append, queuedFilters, sort, limit, record);
+  }, [online, queuedSearch, fetchBooks]);
+
+  /**
+   * Keep the covers of saved books cached for offline use, re-syncing as the lists change.
+   * Waits for both lists to load so the empty initial state doesn't clear the cache.
+   */
+  useEffect(() => {
+    if (!collectionsLoaded || !readingListLoaded) return;
+    const savedBooks = [...getAllSavedBooks(collections), ...readingList];
+    syncSavedCovers(savedBooks.map(book => coverUrl(book.cover_i, 'M')).filter(Boolean));
+  }, [collections, readingList, collectionsLoaded, readingListLoaded]);
+
+  /**
+   * Re-runs a search described by a URL route, showing route.page
+   * @param {Object} route - Parsed route from parseLocation
+   */
+  const restoreSearch = useCallback(async (route) => {
+    lastSearchUrl.current = buildUrl({ ...route, view: 'search' });
+
+    if (!route.query.trim()) {
+      setBooks([]);
+      setCurrentPage(1);
+      setHasMoreResults(false);
+      setTotalResults(0);
+      return;
+    }
+
+    await fetchBooks(route.query, route.type, route.page, false, route.filters, route.sort, route.pageSize);
+  }, [fetchBooks]);
+
+  /**
+   * Restore the search from the URL on first load
+   */
+  useEffect(() => {
+    if (initialRoute.query) {
+      restoreSearch(initialRoute);
+    }
+  }, [initialRoute, restoreSearch]);
+
+  /**
+   * The results grid is windowed, so restore the scroll position ourselves rather than
+   * leaving it to the browser, handing it back when the app unmounts
+   */
+  useEffect(() => {
+    const { scrollRestoration } = window.history;
+    window.history.scrollRestoration = 'manual';
+    return () => {
+      window.history.scrollRestoration = scrollRestoration;
+    };
+  }, []);
+
+  /**
+   * Remember how far down the results the user was while the search view is showing
+   */
+  useEffect(() => {
+    if (view !== 'search') return undefined;
+
+    window.scrollTo(0, searchScrollY.current);
+
+    const handleScroll = () => {
+      searchScrollY.current = window.scrollY;
+    };
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, [view]);
+
+  /**
+   * Follow browser back/forward navigation between views and searches
+   */
+  useEffect(() => {
+    const handlePopState = () => {
+      const route = parseLocation(window.location);
+      setView(route.view);
+      setSelectedBook(null);
+      if (route.view === 'author') setAuthorKey(route.authorKey);
+      if (route.view === 'collection') setCollectionId(route.collectionId);
+
+      if (route.view !== 'search') return;
+
+      setSearchQuery(route.query);
+      setSearchType(route.type);
+      setFilters(route.filters);
+      setSortBy(route.sort);
+      setPageSize(route.pageSize);
+      if (buildUrl(route) !== lastSearchUrl.current) {
+        restoreSearch(route);
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [restoreSearch]);
+
+  /**
+   * Records a search in the URL and browser history
+   * @param {Object} route - { query, type, filters, sort, page }
+   * @param {boolean} replace - Replace the current history entry instead of adding one
+   */
+  const updateSearchUrl = useCallback((route, replace = false) => {
+    const url = buildUrl({ ...route, view: 'search' });
+    lastSearchUrl.current = url;
+    if (url === window.location.pathname + window.location.search) return;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  }, []);
+
+  /**
+   * Switches between the search, collections and reading list views
+   * @param {string} nextView - 'search', 'collections' or 'reading-list'
+   */
+  const navigateToView = (nextView) => {
+    setView(nextView);
+    const url = nextView === 'search'
+      ? lastSearchUrl.current || buildUrl({ view: 'search' })
+      : buildUrl({ view: nextView });
+    if (url !== window.location.pathname + window.location.search) {
+      window.history.pushState(null, '', url);
+    }
+  };
+
+  /**
+   * Opens an author's profile page
+   * @param {string} nextAuthorKey - Author key, e.g. 'OL23919A'
+   */
+  const showAuthor = (nextAuthorKey) => {
+    setSelectedBook(null);
+    setAuthorKey(nextAuthorKey);
+    setView('author');
+    window.history.pushState(null, '', buildUrl({ view: 'author', authorKey: nextAuthorKey }));
+    window.scrollTo(0, 0);
+  };
+
+  /**
+   * Opens a collection's page
+   * @param {string} nextCollectionId - Collection id
+   */
+  const showCollection = (nextCollectionId) => {
+    setCollectionId(nextCollectionId);
+    setView('collection');
+    window.history.pushState(null, '', buildUrl({ view: 'collection', collectionId: nextCollectionId }));
+    window.scrollTo(0, 0);
+  };
+
+  /**
+   * Starts a new search from page 1, recording it in the URL, recent queries and search history
+   * @param {string} query - Search query
+   * @param {string} type - Search type ('title', 'author', 'subject', 'isbn')
+   * @param {Object} searchFilters - Filters to apply, defaulting to the current ones
+   * @param {string} sort - Sort mode, defaulting to the current one
+   */
+  const runSearch = (query, type, searchFilters = filters, sort = sortBy) => {
+    setView('search');
+    setCurrentPage(1);
+    addRecentQuery(query, type);
+    updateSearchUrl({ query, type, filters: searchFilters, sort, page: 1, pageSize });
+    fetchBooks(query, type, 1, false, searchFilters, sort, pageSize, true);
+  };
+
+  /**
+   * Re-runs a search from the history or a saved search, restoring its form state
+   * @param {Object} search - { query, type, filters, sort }
+   */
+  const rerunSearch = (search) => {
+    setSearchType(search.type);
+    setSearchQuery(search.query);
+    setFilters(search.filters);
+    setSortBy(search.sort);
+    runSearch(search.query, search.type, search.filters, search.sort);
+  };
+
+  /**
+   * Saved search functions
+   */
+  const saveSearch = (search, name) => {
+    // Pinning the search on screen keeps its results as the baseline for new-result alerts
+    const run = lastRun.current && lastRun.current.signature === getSearchSignature(search) ? lastRun.current : null;
+    setSavedSearches(prev => (findSavedSearch(prev, search) ? prev : [...prev, createSavedSearch(search, name, run)]));
+  };
+
+  const removeSavedSearch = (savedSearchId) => {
+    setSavedSearches(prev => prev.filter(saved => saved.id !== savedSearchId));
+  };
+
+  /**
+   * Handles search form submission
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (searchQuery.trim()) {
+      runSearch(searchQuery, searchType);
+    }
+  };
+
+  /**
+   * Handles picking a suggestion from the autocomplete dropdown
+   */
+  const handleSuggestionSelect = (query) => {
+    setSearchQuery(query);
+    runSearch(query, searchType);
+  };
+
+  /**
+   * Handles an ISBN read by the barcode scanner
+   */
+  const handleBarcodeDetected = (isbn) => {
+    setShowScanner(false);
+    setSearchQuery(isbn);
+    runSearch(isbn, 'isbn');
+  };
+
+  /**
+   * Live search: run the search once typing pauses. Each keystroke replaces the
+   * browser history entry rather than adding one, and identical searches are skipped.
+   * Partial queries stay out of the search history; submitting the form records it.
+   */
+  useEffect(() => {
+    const query = debouncedQuery.trim();
+    if (!liveSearch || query.length < 3) return;
+    // Partial ISBNs never resolve, so wait for a complete one
+    if (searchType === 'isbn' && !isValidIsbn(query)) return;
+
+    const route = { query, type: searchType, filters: debouncedFilters, sort: sortBy, page: 1, pageSize };
+    if (buildUrl({ ...route, view: 'search' }) === lastSearchUrl.current) return;
+
+    setView('search');
+    updateSearchUrl(route, true);
+    fetchBooks(query, searchType, 1, false, debouncedFilters, sortBy, pageSize);
+  }, [liveSearch, debouncedQuery, debouncedFilters, searchType, sortBy, pageSize, fetchBooks, updateSearchUrl]);
+
+  /**
+   * Handles "Load More" button click for pagination
+   */
+  const handleLoadMore = () => {
+    if (hasMoreResults && !loading) {
+      updateSearchUrl({ query: searchQuery, type: searchType, filters, sort: sortBy, page: currentPage + 1, pageSize }, true);
+      fetchBooks(searchQuery, searchType, currentPage + 1, true, filters, sortBy, pageSize);
+    }
+  };
+
+  /**
+   * Shows a single page of results from the pager, as a new history entry
+   * @param {number} page - Page number
+   */
+  const goToPage = (page) => {
+    updateSearchUrl({ query: searchQuery, type: searchType, filters, sort: sortBy, page, pageSize });
+    fetchBooks(searchQuery, searchType, page, false, filters, sortBy, pageSize);
+    if (resultsRef.current) resultsRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  /**
+   * Changes how many results are requested per page, starting again from page 1
+   */
+  const handlePageSizeChange = (e) => {
+    const nextPageSize = parseInt(e.target.value, 10);
+    setPageSize(nextPageSize);
+    if (searchQuery.trim() && lastSearchUrl.current) {
+      updateSearchUrl({ query: searchQuery, type: searchType, filters, sort: sortBy, page: 1, pageSize: nextPageSize });
+      fetchBooks(searchQuery, searchType, 1, false, filters, sortBy, nextPageSize);
+    }
+  };
+
+  // Sentinel below the results that loads the next page as it comes into view
+  const loadMoreRef = useInfiniteScroll(handleLoadMore, infiniteScroll && hasMoreResults && !loading && view === 'search');
+
+  /**
+   * Handles search type change
+   */
+  const handleSearchTypeChange = (e) => {
+    setSearchType(e.target.value);
+    setBooks([]);
+    setCurrentPage(1);
+    setHasMoreResults(false);
+  };
+
+  /**
+   * Switches between the simple search form and the advanced query builder.
+   * A simple query carries over as the builder's first condition.
+   */
+  const toggleAdvancedMode = () => {
+    if (searchType === 'advanced') {
+      setSearchType('title');
+      setSearchQuery('');
+    } else {
+      const field = searchType === 'author' || searchType === 'subject' ? searchType : searchType === 'title' ? 'title' : 'any';
+      setSearchType('advanced');
+      setSearchQuery(compileQuery([createClause({ field, value: searchQuery })]));
+    }
+    setBooks([]);
+    setCurrentPage(1);
+    setHasMoreResults(false);
+  };
+
+  /**
+   * Collection management functions
+   */
+  const toggleInCollection = (targetId, book) => {
+    setCollections(prev => toggleBookInCollection(prev, targetId, book));
+  };
+
+  const createCollectionWithBook = (name, book) => addCollection({ name }, book);
+
+  const addCollection = (fields, book) => {
+    const collection = createCollection(fields);
+    setCollections(prev => {
+      const next = [...prev, collection];
+      return book ? toggleBookInCollection(next, collection.id, book) : next;
+    });
+  };
+
+  const removeFromCollection = (targetId, bookId) => {
+    setCollections(prev => removeBookFromCollection(prev, targetId, bookId));
+  };
+
+  const transferCollectionBook = (bookId, fromId, toId, copy) => {
+    setCollections(prev => transferBook(prev, bookId, fromId, toId, copy));
+  };
+
+  const updateCollection = (targetId, fields) => {
+    setCollections(prev => editCollection(prev, targetId, fields));
+  };
+
+  const removeCollection = (targetId) => {
+    setCollections(prev => deleteCollection(prev, targetId));
+  };
+
+  const addToReadingList = (book) => {
+    const bookId = book.key || book.title;
+    setReadingList(prev => {
+      const isInList = prev.some(b => (b.key || b.title) === bookId);
+      if (!isInList) {
+        return [...prev, createReadingEntry(book)];
+      }
+      return prev;
+    });
+  };
+
+  const removeFromReadingList = (bookId) => {
+    setReadingList(prev => prev.filter(b => (b.key || b.title) !== bookId));
+  };
+
+  const updateReadingListEntry = (bookId, changes) => {
+    setReadingList(prev => prev.map(b => (
+      (b.key || b.title) === bookId ? updateReadingEntry(b, changes) : b
+    )));
+  };
+
+  /**
+   * Merge imported books into the saved lists, skipping ones already saved
+   */
+  // Imports merge into the latest list inside the updater, so edits made while the
+  // file was being read aren't lost; the returned counts are for the import summary
+  const importIntoCollection = (targetId, importedBooks) => {
+    setCollections(prev => {
+      const target = prev.find(c => c.id === targetId);
+      return target ? setCollectionBooks(prev, targetId, mergeBooks(target.books, importedBooks).merged) : prev;
+    });
+    const current = collections.find(c => c.id === targetId);
+    return mergeBooks(current ? current.books : [], importedBooks);
+  };
+
+  const importReadingList = (importedBooks) => {
+    const entries = importedBooks.map(withReadingDefaults);
+    setReadingList(prev => mergeBooks(prev, entries).merged);
+    return mergeBooks(readingList, entries);
+  };
+
+  const activeCollection = collections.find(c => c.id === collectionId);
+
+  const visibleReadingList = readingStatusFilter === 'all'
+    ? readingList
+    : readingList.filter(b => b.status === readingStatusFilter);
+
+  /**
+   * Show book details modal on top of the current view
+   */
+  const showBookModal = (book) => {
+    setCitingSelectedBook(false);
+    setSelectedBook(book);
+  };
+
+  /**
+   * Open the details modal scrolled to the book's citations
+   */
+  const citeBook = (book) => {
+    setCitingSelectedBook(true);
+    setSelectedBook(book);
+  };
+
+  const closeBookModal = useCallback(() => {
+    setSelectedBook(null);
+  }, []);
+
+  /**
+   * Filter management
+   */
+  const handleFilterChange = (filterName, value) => {
+    setFilters(prev => ({ ...prev, [filterName]: value }));
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+  };
+
+  /**
+   * Applies new filters and re-runs the current search with them
+   * @param {Object} nextFilters - Complete filters object to search with
+   */
+  const applyFilters = (nextFilters) => {
+    setFilters(nextFilters);
+    if (searchQuery.trim()) {
+      setCurrentPage(1);
+      updateSearchUrl({ query: searchQuery, type: searchType, filters: nextFilters, sort: sortBy, page: 1, pageSize });
+      fetchBooks(searchQuery, searchType, 1, false, nextFilters, sortBy, pageSize, true);
+    }
+  };
+
+  const handleFacetSelect = (groupName, value) => {
+    applyFilters({ ...filters, ...facetToFilters(groupName, value) });
+  };
+
+  const handleFilterChipRemove = (fields) => {
+    const nextFilters = { ...filters };
+    fields.forEach(field => {
+      nextFilters[field] = '';
+    });
+    applyFilters(nextFilters);
+  };
+
+  /**
+   * Changes the sort order. Modes the API sorts by reload the search from
+   * page 1 in the new order; the others re-sort the loaded pages client-side.
+   */
+  const handleSortChange = (e) => {
+    const nextSort = e.target.value;
+    setSortBy(nextSort);
+    if (!lastSearchUrl.current) return;
+    if (searchQuery.trim() && getApiSort(nextSort) !== getApiSort(sortBy)) {
+      setCurrentPage(1);
+      updateSearchUrl({ query: searchQuery, type: searchType, filters, sort: nextSort, page: 1, pageSize });
+      fetchBooks(searchQuery, searchType, 1, false, filters, nextSort, pageSize);
+    } else {
+      updateSearchUrl({ query: searchQuery, type: searchType, filters, sort: nextSort, page: currentPage, pageSize }, true);
+    }
+  };
+
+  /**
+   * Comparison tray functions
+   */
+  const toggleCompared = (book) => {
+    setComparedBooks(prev => toggleComparison(prev, book));
+  };
+
+  const clearComparison = () => {
+    setComparedBooks([]);
+    setShowComparison(false);
+  };
+
+  const closeComparison = useCallback(() => setShowComparison(false), []);
+
+  // Shared by every book card outside the details dialog
+  const cardProps = {
+    onToggleCollection: toggleInCollection,
+    onCreateCollection: createCollectionWithBook,
+    onAddToReadingList: addToReadingList,
+    onRemoveFromReadingList: removeFromReadingList,
+    onShowDetails: showBookModal,
+    onShowAuthor: showAuthor,
+    onCite: citeBook,
+    onToggleCompare: toggleCompared,
+    comparedBooks,
+    collections,
+    readingList
+  };
+
+  const facets = buildFacets(books);
+  const sortedBooks = sortBooks(books, sortBy);
+  // Each result is a group of editions; ungrouped results are groups of one
+  const bookGroups = groupEditions
+    ? groupBooks(sortedBooks)
+    : sortedBooks.map((book, index) => ({ key: `${book.key || book.title}-${index}`, book, members: [book] }));
+  // Validation and ISBN-10/13 forms shown under the query input in ISBN mode
+  const isbnInfo = searchType === 'isbn' ? parseIsbn(searchQuery) : null;
+
+  /**
+   * Quick search suggestions from the user's recent searches and the taste profile of their saved books
+   */
+  const quickSearchSuggestions = getQuickSearches(getRecentQueries(), tasteProfile);
+
+  const handleQuickSearch = (suggestion) => {
+    setSearchType(suggestion.type);
+    setSearchQuery(suggestion.query);
+    runSearch(suggestion.query, suggestion.type);
+  };
+
+  return (
+    <div className={`min-h-screen ${comparedBooks.length > 0 ? 'pb-24' : ''}`}>
+      {/* Header */}
+      <header className="relative overflow-hidden">
+        <div className="absolute inset-0 bg-gradient-to-r from-primary-600 via-secondary-600 to-accent-500 opacity-90"></div>
+        <div className="relative max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Navigation */}
+          <nav className="flex flex-wrap gap-4 justify-between items-center mb-8">
+            <div className="flex space-x-4">
+              <button 
+                onClick={() => navigateToView('search')}
+                className="text-white/90 hover:text-white font-medium transition-colors duration-200"
+              >
+                🔍 Search
+              </button>
+              <button 
+                onClick={() => navigateToView('collections')}
+                className="text-white/90 hover:text-white font-medium transition-colors duration-200 flex items-center space-x-1"
+              >
+                <span>🔖</span>
+                <span>Collections ({collections.length})</span>
+              </button>
+              <button 
+                onClick={() => navigateToView('reading-list')}
+                className="text-white/90 hover:text-white font-medium transition-colors duration-200 flex items-center space-x-1"
+              >
+                <span>📖</span>
+                <span>Reading List ({readingList.length})</span>
+              </button>
+            </div>
+            <AppearanceControls appearance={appearance} onChange={setAppearance} />
+          </nav>
+          
+          <div className="text-center animate-fadeInUp">
+            <h1 className="text-5xl font-display font-bold text-white mb-4">
+              📚 Book Finder
+            </h1>
+            <p className="text-xl text-white/90 max-w-2xl mx-auto">
+              Your personal library assistant for academic and leisure reading
+            </p>
+            <div className="mt-6 flex justify-center">
+              <div className="w-24 h-1 bg-white/30 rounded-full"></div>
+            </div>
+          </div>
+        </div>
+        <div className="absolute bottom-0 left-0 right-0 h-20 bg-gradient-to-b from-transparent to-white/10"></div>
+      </header>
+
+      {/* Search Section */}
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 -mt-8 relative z-10">
+        {/* Screen reader announcements (errors use the alert below) */}
+        <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
+        <div className="bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm rounded-2xl shadow-large p-8 mb-8 border border-white/20 dark:border-gray-700/50">
+          <form onSubmit={handleSearch} className="space-y-6">
+            {/* Search Mode */}
+            <div className="flex justify-end -mb-4">
+              <button
+                type="button"
+                onClick={toggleAdvancedMode}
+                className="text-sm text-primary-600 hover:text-primary-700 dark:hover:text-primary-300 font-medium transition-colors duration-200"
+              >
+                {searchType === 'advanced' ? '← Simple search' : '🧩 Query builder (AND / OR / NOT)'}
+              </button>
+            </div>
+
+            {searchType === 'advanced' ? (
+              <div>
+                <p className="block text-sm font-semibold text-gray-700 dark:text-gray-200 mb-3">🧩 Match books where:</p>
+                <QueryBuilder value={searchQuery} onChange={setSearchQuery} />
+                <label className="mt-2 inline-flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={liveSearch}
+                    onChange={(e) => setLiveSearch(e.target.checked)}
+                    className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span>Search as I type</span>
+                </label>
+              </div>
+            ) : (
+              <>
+              {/* Search Type Selection */}
+              <div className="flex flex-col lg:flex-row gap-6">
+                <div className="flex-1">
+                  <label htmlFor="searchType" className="block text-sm font-semibold text-gray-700 dark:text-gray-200 mb-3">
+                    Search by:
+                  </label>
+                  <select
+                    id="searchType"
+                    value={searchType}
+                    onChange={handleSearchTypeChange}
+                    className="w-full px-4 py-3 border-2 border-gray-200 dark:border-gray-700 rounded-xl shadow-soft focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-all duration-200 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm"
+                  >
+                    <option value="title">📖 Book Title</option>
+                    <option value="author">✍️ Author Name</option>
+                    <option value="subject">🎓 Subject/Topic</option>
+                    <option value="isbn">🔢 ISBN</option>
+                  </select>
+                </div>
+                
+                <div className="flex-2">
+                  <label htmlFor="searchQuery" className="block text-sm font-semibold text-gray-700 dark:text-gray-200 mb-3">
+                    {searchType === 'isbn' ? '🔢 ISBN' : searchType === 'title' ? '📖 Book Title' : searchType === 'author' ? '✍️ Author Name' : '🎓 Subject/Topic'}:
+                  </label>
+                  <SearchAutocomplete
+                    id="searchQuery"
+                    value={searchQuery}
+                    searchType={searchType}
+                    onChange={setSearchQuery}
+                    onSelect={handleSuggestionSelect}
+                    placeholder={searchType === 'isbn' ? 'Enter ISBN-10 or ISBN-13 (e.g., 978-0-13-468599-1)...' : searchType === 'title' ? 'Enter book title...' : searchType === 'author' ? 'Enter author name...' : 'Enter subject (e.g., computer science, psychology)...'}
+                    className="w-full px-4 py-3 border-2 border-gray-200 dark:border-gray-700 rounded-xl shadow-soft focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-all duration-200 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm"
+                  />
+                  <label className="mt-2 inline-flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={liveSearch}
+                      onChange={(e) => setLiveSearch(e.target.checked)}
+                      className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>Search as I type</span>
+                  </label>
+
+                  {/* ISBN validation and barcode scanning */}
+                  {searchType === 'isbn' && (
+                    <div className="mt-2 text-sm">
+                      {searchQuery.trim() && (isbnInfo.valid ? (
+                        <p className="text-green-700 dark:text-green-300">
+                          ✓ Valid ISBN • ISBN-13: <span className="font-mono">{isbnInfo.isbn13}</span>
+                          {isbnInfo.isbn10 && <> • ISBN-10: <span className="font-mono">{isbnInfo.isbn10}</span></>}
+                        </p>
+                      ) : (
+                        <p className="text-gray-500 dark:text-gray-400">Not a valid ISBN-10 or ISBN-13 yet</p>
+                      ))}
+                      {canScanBarcodes() && !showScanner && (
+                        <button
+                          type="button"
+                          onClick={() => setShowScanner(true)}
+                          className="mt-2 text-primary-600 hover:text-primary-700 dark:hover:text-primary-300 font-medium transition-colors duration-200"
+                        >
+                          📷 Scan barcode
+                        </button>
+                      )}
+                      {showScanner && (
+                        <BarcodeScanner onDetected={handleBarcodeDetected} onClose={() => setShowScanner(false)} />
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+              </>
+            )}
+
+            {/* Advanced Filters */}
+            <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200">🔧 Advanced Filters</h3>
+                <button
+                  type="button"
+                  onClick={() => setShowFilters(!showFilters)}
+                  className="text-primary-600 hover:text-primary-700 dark:hover:text-primary-300 font-medium transition-colors duration-200"
+                >
+                  {showFilters ? 'Hide Filters' : 'Show Filters'}
+                </button>
+              </div>
+              
+              {showFilters && (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 p-4 bg-gray-50 dark:bg-gray-900/50 rounded-xl">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">From Year</label>
+                    <input
+                      type="number"
+                      value={filters.yearFrom}
+                      onChange={(e) => handleFilterChange('yearFrom', e.target.value)}
+                      placeholder="e.g., 2000"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">To Year</label>
+                    <input
+                      type="number"
+                      value={filters.yearTo}
+                      onChange={(e) => handleFilterChange('yearTo', e.target.value)}
+                      placeholder="e.g., 2023"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Language</label>
+                    <select
+                      value={filters.language}
+                      onChange={(e) => handleFilterChange('language', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    >
+                      <option value="">Any Language</option>
+                      <option value="eng">English</option>
+                      <option value="spa">Spanish</option>
+                      <option value="fre">French</option>
+                      <option value="ger">German</option>
+                      <option value="ita">Italian</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Subject</label>
+                    <input
+                      type="text"
+                      value={filters.subject}
+                      onChange={(e) => handleFilterChange('subject', e.target.value)}
+                      placeholder="e.g., programming"
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    />
+                  </div>
+                  <div className="md:col-span-2 lg:col-span-4 flex flex-wrap items-center justify-between gap-4">
+                    <label className="inline-flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-200 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(filters.readable)}
+                        onChange={(e) => handleFilterChange('readable', e.target.checked ? 'true' : '')}
+                        className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                      />
+                      <span>📖 Only books I can read or borrow today</span>
+                    </label>
+                    <button
+                      type="button"
+                      onClick={clearFilters}
+                      className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100 transition-colors duration-200"
+                    >
+                      Clear Filters
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Quick Search Suggestions */}
+            {quickSearchSuggestions.length > 0 && (
+              <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+                <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200 mb-4">⚡ Quick Search</h3>
+                <div className="flex flex-wrap gap-2">
+                  {quickSearchSuggestions.map((suggestion, index) => (
+                    <button
+                      key={index}
+                      type="button"
+                      onClick={() => handleQuickSearch(suggestion)}
+                      className="px-4 py-2 bg-gradient-to-r from-primary-100 to-secondary-100 dark:from-primary-900/60 dark:to-secondary-900/60 text-primary-700 dark:text-primary-300 rounded-full text-sm font-medium hover:from-primary-200 hover:to-secondary-200 transition-all duration-200 transform hover:scale-105"
+                    >
+                      {suggestion.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Search History */}
+            <SearchHistoryPanel
+              history={searchHistory}
+              savedSearches={savedSearches}
+              onRun={rerunSearch}
+              onSave={saveSearch}
+              onRemoveSaved={removeSavedSearch}
+              onClearHistory={() => setSearchHistory([])}
+            />
+
+            {/* Search Button */}
+            <div className="flex justify-center">
+              <button
+                type="submit"
+                disabled={loading || !searchQuery.trim()}
+                className="group relative px-8 py-4 bg-gradient-to-r from-primary-600 to-secondary-600 text-white font-semibold rounded-xl shadow-large hover:shadow-glow focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 transform hover:scale-105 disabled:hover:scale-100"
+              >
+                <span className="relative z-10 flex items-center justify-center">
+                  {loading ? (
+                    <>
+                      <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                      Searching...
+                    </>
+                  ) : (
+                    <>
+                      🔍 Search Books
+                    </>
+                  )}
+                </span>
+                <div className="absolute inset-0 bg-gradient-to-r from-primary-700 to-secondary-700 rounded-xl opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
+              </button>
+            </div>
+          </form>
+        </div>
+
+        {/* Offline Banner */}
+        {!online && <OfflineBanner queuedQuery={queuedSearch && queuedSearch.query} />}
+
+        {/* Error Message */}
+        {error && (
+          <div role="alert" className="bg-gradient-to-r from-red-50 dark:from-red-900/30 to-red-100 dark:to-red-900/50 border-2 border-red-200 dark:border-red-800 rounded-2xl p-6 mb-8 shadow-soft animate-fadeInUp">
+            <div className="flex items-start">
+              <div className="flex-shrink-0">
+                <div className="w-10 h-10 bg-red-100 dark:bg-red-900/50 rounded-full flex items-center justify-center">
+                  <svg className="h-6 w-6 text-red-600" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                  </svg>
+                </div>
+              </div>
+              <div className="ml-4">
+                <h3 className="text-lg font-semibold text-red-800 dark:text-red-200">Oops! Something went wrong</h3>
+                <div className="mt-2 text-red-700 dark:text-red-300">{error}</div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Active Filters */}
+        {view === 'search' && (
+          <ActiveFilterChips filters={filters} onRemove={handleFilterChipRemove} />
+        )}
+
+        {/* Results Section */}
+        {view === 'search' && books.length > 0 && (
+          <div ref={resultsRef} className="mb-8 animate-fadeInUp scroll-mt-8">
+            <div className="text-center mb-8">
+              <h2 className="text-3xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2">
+                📚 Search Results
+              </h2>
+              <p className="text-lg text-gray-600 dark:text-gray-300">
+                Found <span className="font-semibold text-primary-600">{totalResults.toLocaleString()}</span> {totalResults === 1 ? 'book' : 'books'}
+              </p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Showing {((firstPage - 1) * pageSize + 1).toLocaleString()}–{((firstPage - 1) * pageSize + books.length).toLocaleString()}
+              </p>
+              <div className="mt-4 inline-flex flex-wrap items-center justify-center gap-y-2 space-x-2">
+                <label htmlFor="sortBy" className="text-sm font-medium text-gray-700 dark:text-gray-200">Sort by:</label>
+                <select
+                  id="sortBy"
+                  value={sortBy}
+                  onChange={handleSortChange}
+                  className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white/90 dark:bg-gray-800/90 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <label htmlFor="pageSize" className="pl-4 text-sm font-medium text-gray-700 dark:text-gray-200">Per page:</label>
+                <select
+                  id="pageSize"
+                  value={pageSize}
+                  onChange={handlePageSizeChange}
+                  className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white/90 dark:bg-gray-800/90 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  {PAGE_SIZES.map(size => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
+                <label className="pl-4 inline-flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={infiniteScroll}
+                    onChange={(e) => setInfiniteScroll(e.target.checked)}
+                    className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span>Infinite scroll</span>
+                </label>
+                <label className="pl-4 inline-flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={groupEditions}
+                    onChange={(e) => setGroupEditions(e.target.checked)}
+                    className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span>Group editions</span>
+                </label>
+                <label className="pl-4 inline-flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(filters.readable)}
+                    onChange={(e) => applyFilters({ ...filters, readable: e.target.checked ? 'true' : '' })}
+                    className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span>Readable today</span>
+                </label>
+              </div>
+            </div>
+
+            <FacetPanel facets={facets} onSelect={handleFacetSelect} />
+            
+            {/* Books Grid (only rows near the viewport are mounted) */}
+            <VirtualBookGrid
+              label="Search results"
+              items={bookGroups}
+              getKey={(group) => group.key}
+              renderItem={(group) => (
+                <EditionGroupCard
+                  group={group}
+                  isNew={Boolean(newResults) && group.members.some(member => newResults.keys.has(member.key || member.title))}
+                  cardProps={cardProps}
+                />
+              )}
+            />
+
+            {/* Infinite Scroll */}
+            {infiniteScroll && hasMoreResults && (
+              <div ref={loadMoreRef} className="text-center mt-4 text-gray-600 dark:text-gray-300">
+                {loading && <p className="animate-pulse-slow">Loading more books...</p>}
+              </div>
+            )}
+
+            {/* Load More Button */}
+            {!infiniteScroll && hasMoreResults && (
+              <div className="text-center mt-12">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={loading}
+                  className="group relative px-8 py-4 bg-gradient-to-r from-accent-500 to-accent-600 text-white font-semibold rounded-xl shadow-large hover:shadow-glow focus:outline-none focus:ring-2 focus:ring-accent-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 transform hover:scale-105 disabled:hover:scale-100"
+                >
+                  <span className="relative z-10 flex items-center justify-center">
+                    {loading ? (
+                      <>
+                        <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                        Loading...
+                      </>
+                    ) : (
+                      <>
+                        📖 Load More Books
+                      </>
+                    )}
+                  </span>
+                  <div className="absolute inset-0 bg-gradient-to-r from-accent-600 to-accent-700 rounded-xl opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
+                </button>
+              </div>
+            )}
+
+            {/* Pager */}
+            <Pagination
+              currentPage={currentPage}
+              totalPages={getTotalPages(totalResults, pageSize)}
+              disabled={loading}
+              onPageChange={goToPage}
+            />
+          </div>
+        )}
+
+        {/* No Results Message */}
+        {view === 'search' && !loading && books.length === 0 && searchQuery && !error && !queuedSearch && (
+          <div className="text-center py-16 animate-fadeInUp">
+            <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm rounded-2xl p-12 shadow-large border border-white/20 dark:border-gray-700/50 max-w-md mx-auto">
+              <div className="w-20 h-20 bg-gradient-to-br from-gray-100 dark:from-gray-700 to-gray-200 dark:to-gray-800 rounded-full flex items-center justify-center mx-auto mb-6">
+                <svg className="w-10 h-10 text-gray-400 dark:text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 12h6m-6-4h6m2 5.291A7.962 7.962 0 0112 15c-2.34 0-4.29-1.009-5.824-2.709M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                </svg>
+              </div>
+              <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-100 mb-3">No books found</h3>
+              <p className="text-gray-600 dark:text-gray-300 mb-6">
+                We couldn't find any books matching your search. Try different keywords or check your spelling.
+              </p>
+              <div className="text-sm text-gray-500 dark:text-gray-400">
+                💡 Try searching for: {quickSearchSuggestions.length > 0
+                  ? quickSearchSuggestions.slice(0, 3).map(suggestion => `"${suggestion.label}"`).join(', ')
+                  : '"Harry Potter", "1984", or "Stephen King"'}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Recommendations */}
+        {view === 'search' && !loading && books.length === 0 && !searchQuery && (
+          <RecommendationsPanel
+            recommendations={recommendations}
+            loading={recommendationsLoading}
+            cardProps={cardProps}
+          />
+        )}
+
+        {/* Welcome Message */}
+        {view === 'search' && !loading && books.length === 0 && !searchQuery && (
+          <div className="text-center py-16 animate-fadeInUp">
+            <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm rounded-2xl p-12 shadow-large border border-white/20 dark:border-gray-700/50 max-w-lg mx-auto">
+              <div className="w-24 h-24 bg-gradient-to-br from-primary-100 to-secondary-100 rounded-full flex items-center justify-center mx-auto mb-8">
+                <span className="text-4xl">📚</span>
+              </div>
+              <h3 className="text-2xl font-display font-bold text-gray-800 dark:text-gray-100 mb-4">Welcome to Book Finder!</h3>
+              <p className="text-gray-600 dark:text-gray-300 mb-6 text-lg">
+                Discover your next favorite book using our powerful search engine powered by Open Library.
+              </p>
+              <div className="space-y-3 text-sm text-gray-500 dark:text-gray-400">
+                <div className="flex items-center justify-center space-x-2">
+                  <span>🔍</span>
+                  <span>Search by book title or author name</span>
+                </div>
+                <div className="flex items-center justify-center space-x-2">
+                  <span>📖</span>
+                  <span>Browse beautiful book covers and details</span>
+                </div>
+                <div className="flex items-center justify-center space-x-2">
+                  <span>⚡</span>
+                  <span>Get instant results with our fast search</span>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Author Profile View */}
+        {view === 'author' && authorKey && (
+          <AuthorProfile
+            key={authorKey}
+            authorKey={authorKey}
+            cardProps={cardProps}
+          />
+        )}
+
+        {/* Collections View */}
+        {view === 'collections' && (
+          <div className="animate-fadeInUp">
+            <CollectionsIndex
+              collections={collections}
+              onOpen={showCollection}
+              onCreate={(fields) => addCollection(fields)}
+              onEdit={updateCollection}
+              onDelete={removeCollection}
+            />
+          </div>
+        )}
+
+        {/* Single Collection View */}
+        {view === 'collection' && collectionsLoaded && (
+          <div className="animate-fadeInUp">
+            {activeCollection ? (
+              <CollectionView
+                key={activeCollection.id}
+                collection={activeCollection}
+                collections={collections}
+                cardProps={cardProps}
+                onBack={() => navigateToView('collections')}
+                onEdit={updateCollection}
+                onRemoveBook={removeFromCollection}
+                onTransferBook={transferCollectionBook}
+                onImport={importIntoCollection}
+              />
+            ) : (
+              <div className="text-center py-16">
+                <p className="text-gray-600 dark:text-gray-300 mb-4">This collection doesn't exist anymore.</p>
+                <button
+                  type="button"
+                  onClick={() => navigateToView('collections')}
+                  className="text-primary-700 dark:text-primary-300 hover:text-primary-800 dark:hover:text-primary-200 font-medium transition-colors duration-200"
+                >
+                  ← All collections
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Reading List View */}
+        {view === 'reading-list' && (
+          <div className="mb-8 animate-fadeInUp">
+            <div className="text-center mb-8">
+              <h2 className="text-3xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2">
+                📖 My Reading List
+              </h2>
+              <p className="text-lg text-gray-600 dark:text-gray-300">
+                {readingList.length > 0 ? `${readingList.length} books on your list` : 'No books in reading list yet'}
+              </p>
+            </div>
+
+            <ListTransferControls books={readingList} listName="reading-list" onImport={importReadingList} />
+            <BibliographyControls books={readingList} listName="reading-list" />
+
+            {readingList.length > 0 ? (
+              <>
+                {/* Status Filter */}
+                <div className="flex flex-wrap justify-center gap-2 mb-8">
+                  {[{ value: 'all', label: 'All', icon: '📚' }, ...READING_STATUSES].map(status => {
+                    const count = status.value === 'all'
+                      ? readingList.length
+                      : readingList.filter(b => b.status === status.value).length;
+                    return (
+                      <button
+                        key={status.value}
+                        type="button"
+                        onClick={() => setReadingStatusFilter(status.value)}
+                        className={`px-4 py-2 rounded-full text-sm font-medium transition-all duration-200 ${
+                          readingStatusFilter === status.value
+                            ? 'bg-primary-600 text-white shadow-medium'
+                            : 'bg-white/80 dark:bg-gray-800/80 text-gray-700 dark:text-gray-200 hover:bg-white dark:hover:bg-gray-700'
+                        }`}
+                      >
+                        {status.icon} {status.label} ({count})
+                      </button>
+                    );
+                  })}
+                </div>
+
+                {visibleReadingList.length > 0 ? (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-8">
+                    {visibleReadingList.map((book, index) => (
+                      <div key={`reading-${book.key || book.title}-${index}`} className="animate-fadeInUp" style={{animationDelay: `${index * 0.1}s`}}>
+                        <div className="relative">
+                          <BookCard 
+                            book={book} 
+                            {...cardProps}
+                            readingEntry={book}
+                            onUpdateReadingEntry={updateReadingListEntry}
+                          />
+                          <button
+                            onClick={() => removeFromReadingList(book.key || book.title)}
+                            className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center text-xs hover:bg-red-600 transition-colors duration-200"
+                            title="Remove from reading list"
+                            aria-label={`Remove ${book.title} from reading list`}
+                          >
+                            ×
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-center text-gray-600 dark:text-gray-300 py-8">No books with this status yet.</p>
+                )}
+              </>
+            ) : (
+              <div className="text-center py-16">
+                <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm rounded-2xl p-12 shadow-large border border-white/20 dark:border-gray-700/50 max-w-md mx-auto">
+                  <div className="w-20 h-20 bg-gradient-to-br from-green-100 dark:from-green-900/50 to-green-200 dark:to-green-800/50 rounded-full flex items-center justify-center mx-auto mb-6">
+                    <span className="text-3xl">📖</span>
+                  </div>
+                  <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-100 mb-3">No books in reading list</h3>
+                  <p className="text-gray-600 dark:text-gray-300 mb-6">
+                    Add books to your reading list by clicking the reading list icon on any book card.
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+
+      {/* Footer */}
+      <footer className="bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm border-t border-white/20 dark:border-gray-700/50 mt-16">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="text-center">
+            <p className="text-gray-600 dark:text-gray-300 text-sm mb-2">
+              Made with ❤️ for book lovers everywhere
+            </p>
+            <p className="text-gray-500 dark:text-gray-400 text-xs">
+              Powered by{' '}
+              <a 
+                href="https://openlibrary.org" 
+                target="_blank" 
+                rel="noopener noreferrer"
+                className="text-primary-600 hover:text-primary-700 dark:hover:text-primary-300 font-medium transition-colors duration-200"
+              >
+                Open Library
+              </a>
+              {' '}• Built with React & Tailwind CSS
+            </p>
+            <CacheInspector />
+          </div>
+        </div>
+      </footer>
+
+      {/* Comparison */}
+      <ComparisonTray
+        books={comparedBooks}
+        onRemove={toggleCompared}
+        onClear={clearComparison}
+        onOpen={() => setShowComparison(true)}
+      />
+      {showComparison && comparedBooks.length > 0 && (
+        <ComparisonModal
+          books={comparedBooks}
+          onRemove={toggleCompared}
+          onShowDetails={(book) => {
+            setShowComparison(false);
+            showBookModal(book);
+          }}
+          onClose={closeComparison}
+        />
+      )}
+
+      {/* Book Details Modal */}
+      {selectedBook && (
+        <BookDetailsModal book={selectedBook} showCitation={citingSelectedBook} onClose={closeBookModal} />
+      )}
+    </div>
+  );
+}
+
+export default App;
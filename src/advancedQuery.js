@@ -0,0 +1,117 @@
+/**
+ * Advanced search queries. A query is a list of clauses, each matching a value in
+ * one field and joined to the previous clause with AND, OR or NOT. Clauses compile
+ * to Open Library's Solr-style `q` parameter, e.g.
+ * title:(lord rings) AND author_name:"J.R.R. Tolkien" NOT subject:parody,
+ * and queries in that form parse back into clauses.
+ */
+
+export const QUERY_FIELDS = [
+  { value: 'any', label: 'Any field', param: null },
+  { value: 'title', label: 'Title', param: 'title' },
+  { value: 'author', label: 'Author', param: 'author_name' },
+  { value: 'subject', label: 'Subject', param: 'subject' },
+  { value: 'publisher', label: 'Publisher', param: 'publisher' }
+];
+
+export const QUERY_OPERATORS = ['AND', 'OR', 'NOT'];
+
+// Query field names accepted when parsing, including the shorter alias for authors
+const FIELD_BY_PARAM = {
+  title: 'title',
+  author_name: 'author',
+  author: 'author',
+  subject: 'subject',
+  publisher: 'publisher'
+};
+
+let nextClauseId = 0;
+
+/**
+ * Creates a clause
+ * @param {Object} fields - { operator, field, value, exact }
+ */
+export const createClause = ({ operator = 'AND', field = 'any', value = '', exact = false } = {}) => ({
+  id: `clause-${++nextClauseId}`,
+  operator,
+  field,
+  value,
+  exact
+});
+
+const SPECIAL_CHARACTERS = /([+\-!(){}[\]^"~*?:\\/&|])/g;
+
+const escapeWord = (word) => (
+  // A capitalized AND/OR/NOT would be read as an operator
+  QUERY_OPERATORS.includes(word) ? word.toLowerCase() : word.replace(SPECIAL_CHARACTERS, '\\$1')
+);
+
+const unescape = (text) => text.replace(/\\(.)/g, '$1');
+
+const compileTerm = ({ field, value, exact }) => {
+  const fieldInfo = QUERY_FIELDS.find(f => f.value === field) || QUERY_FIELDS[0];
+  const words = value.trim().split(/\s+/);
+  let term;
+  if (exact) {
+    term = `"${value.trim().replace(/(["\\])/g, '\\$1')}"`;
+  } else if (words.length > 1) {
+    term = `(${words.map(escapeWord).join(' ')})`;
+  } else {
+    term = escapeWord(words[0]);
+  }
+  return fieldInfo.param ? `${fieldInfo.param}:${term}` : term;
+};
+
+/**
+ * Compiles clauses into a `q` query string, skipping clauses with no value
+ * @param {Array} clauses - Clauses from the builder
+ */
+export const compileQuery = (clauses) => clauses
+  .filter(clause => clause.value.trim())
+  .map((clause, index) => {
+    const term = compileTerm(clause);
+    if (index === 0) return clause.operator === 'NOT' ? `NOT ${term}` : term;
+    return `${clause.operator} ${term}`;
+  })
+  .join(' ');
+
+// Operators, field:value terms, "phrases", (word groups) and bare words
+const TOKEN_PATTERN = /\s*(?:(AND|OR|NOT)(?=\s|$)|(\w+):("(?:\\.|[^"\\])*"|\((?:\\.|[^()\\])*\)|(?:\\.|[^\s()"\\])+)|("(?:\\.|[^"\\])*"|\((?:\\.|[^()\\])*\)|(?:\\.|[^\s()"\\])+))/y;
+
+/**
+ * Parses a `q` query string back into clauses
+ * @param {string} query - Query string, usually one produced by compileQuery
+ * @returns {Array|null} Clauses, or null when the query uses syntax the builder can't show
+ */
+export const parseQuery = (query) => {
+  const clauses = [];
+  let operator = null;
+  TOKEN_PATTERN.lastIndex = 0;
+  const text = query.trim();
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) return null;
+    const [, op, param, fieldValue, bareValue] = match;
+
+    if (op) {
+      // "AND NOT" reads as NOT; any other pair of operators can't be represented
+      if (operator && !(operator === 'AND' && op === 'NOT')) return null;
+      operator = op;
+      continue;
+    }
+
+    const field = param ? FIELD_BY_PARAM[param] : 'any';
+    if (!field) return null;
+    const raw = param ? fieldValue : bareValue;
+    const exact = raw.startsWith('"');
+    const value = exact || raw.startsWith('(') ? unescape(raw.slice(1, -1)).trim() : unescape(raw);
+
+    if (clauses.length === 0 && operator === 'OR') return null;
+    clauses.push(createClause({ operator: operator || 'AND', field, value, exact }));
+    operator = null;
+  }
+
+  if (operator || clauses.length === 0) return null;
+  return clauses;
+};
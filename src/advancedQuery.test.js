@@ -0,0 +1,71 @@
+import { createClause, compileQuery, parseQuery } from './advancedQuery';
+
+// Clauses without their generated ids, for comparing
+const strip = (clauses) => clauses.map(({ id, ...clause }) => clause);
+
+describe('compileQuery', () => {
+  it('joins field terms with their operators', () => {
+    const clauses = [
+      createClause({ field: 'title', value: 'lord rings' }),
+      createClause({ operator: 'AND', field: 'author', value: 'J.R.R. Tolkien', exact: true }),
+      createClause({ operator: 'NOT', field: 'subject', value: 'parody' })
+    ];
+
+    expect(compileQuery(clauses)).toBe('title:(lord rings) AND author_name:"J.R.R. Tolkien" NOT subject:parody');
+  });
+
+  it('starts with NOT when the first clause excludes', () => {
+    expect(compileQuery([createClause({ operator: 'NOT', value: 'vampires' })])).toBe('NOT vampires');
+  });
+
+  it('escapes special characters and lowercases operator words', () => {
+    expect(compileQuery([createClause({ field: 'title', value: 'C++ AND (you)' })]))
+      .toBe('title:(C\\+\\+ and \\(you\\))');
+    expect(compileQuery([createClause({ value: 'say "hi"', exact: true })])).toBe('"say \\"hi\\""');
+  });
+
+  it('skips empty clauses', () => {
+    expect(compileQuery([createClause(), createClause({ operator: 'OR', value: 'dune' })])).toBe('dune');
+  });
+});
+
+describe('parseQuery', () => {
+  it('reads fields, phrases, groups and operators', () => {
+    expect(strip(parseQuery('title:(lord rings) OR author:"Ursula K. Le Guin" AND NOT subject:parody'))).toEqual([
+      { operator: 'AND', field: 'title', value: 'lord rings', exact: false },
+      { operator: 'OR', field: 'author', value: 'Ursula K. Le Guin', exact: true },
+      { operator: 'NOT', field: 'subject', value: 'parody', exact: false }
+    ]);
+  });
+
+  it('gives up on syntax the builder cannot show', () => {
+    expect(parseQuery('language:eng')).toBeNull();
+    expect(parseQuery('OR dune')).toBeNull();
+    expect(parseQuery('dune AND')).toBeNull();
+    expect(parseQuery('dune OR AND arrakis')).toBeNull();
+    expect(parseQuery('   ')).toBeNull();
+  });
+});
+
+describe('round trips', () => {
+  const queries = [
+    'dune',
+    'title:(lord rings) AND author_name:"J.R.R. Tolkien" NOT subject:parody',
+    'NOT publisher:penguin OR subject:"science fiction"',
+    'title:(C\\+\\+ and \\(you\\))',
+    '"say \\"hi\\""'
+  ];
+
+  it.each(queries)('parses and recompiles %s unchanged', (query) => {
+    expect(compileQuery(parseQuery(query))).toBe(query);
+  });
+
+  it('keeps clause values through compile and parse', () => {
+    const clauses = [
+      createClause({ field: 'publisher', value: 'Tor: Books/Forge' }),
+      createClause({ operator: 'OR', field: 'any', value: 'a-b?' })
+    ];
+
+    expect(strip(parseQuery(compileQuery(clauses)))).toEqual(strip(clauses));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Color mode (light/dark/system) and named color theme, kept in localStorage and
+ * applied to the document root as the `dark` class and a `data-theme` attribute.
+ * index.html applies the stored choice before first paint using the same key.
+ */
+
+const STORAGE_KEY = 'book-finder:appearance';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+export const COLOR_MODES = [
+  { value: 'system', label: 'System', icon: '🖥️' },
+  { value: 'light', label: 'Light', icon: '☀️' },
+  { value: 'dark', label: 'Dark', icon: '🌙' }
+];
+
+// Ids must match the themes in tailwind.config.js
+export const THEMES = [
+  { value: 'ocean', label: 'Ocean' },
+  { value: 'sunset', label: 'Sunset' },
+  { value: 'orchid', label: 'Orchid' }
+];
+
+export const DEFAULT_APPEARANCE = { mode: 'system', theme: 'ocean' };
+
+/**
+ * Returns the stored appearance, falling back to the defaults for missing or unknown values
+ * @returns {{ mode: string, theme: string }}
+ */
+export const getAppearance = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      mode: COLOR_MODES.some(mode => mode.value === stored.mode) ? stored.mode : DEFAULT_APPEARANCE.mode,
+      theme: THEMES.some(theme => theme.value === stored.theme) ? stored.theme : DEFAULT_APPEARANCE.theme
+    };
+  } catch (err) {
+    return DEFAULT_APPEARANCE;
+  }
+};
+
+/**
+ * Persists the appearance
+ * @param {{ mode: string, theme: string }} appearance - Appearance to store
+ */
+export const saveAppearance = (appearance) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(appearance));
+  } catch (err) {
+    // Storage disabled; the choice lasts until the page is closed
+  }
+};
+
+/**
+ * Media query list for the OS dark mode preference, or null where unsupported
+ */
+export const getDarkModeQuery = () => (
+  typeof window.matchMedia === 'function' ? window.matchMedia(DARK_QUERY) : null
+);
+
+/**
+ * Whether a color mode resolves to dark, following the OS preference for 'system'
+ * @param {string} mode - Color mode value
+ */
+export const isDarkMode = (mode) => {
+  if (mode === 'system') {
+    const query = getDarkModeQuery();
+    return Boolean(query && query.matches);
+  }
+  return mode === 'dark';
+};
+
+/**
+ * Applies an appearance to the document root
+ * @param {{ mode: string, theme: string }} appearance - Appearance to apply
+ */
+export const applyAppearance = ({ mode, theme }) => {
+  const root = document.documentElement;
+  const dark = isDarkMode(mode);
+  root.classList.toggle('dark', dark);
+  root.style.colorScheme = dark ? 'dark' : 'light';
+  root.dataset.theme = theme;
+};
@@ -0,0 +1,75 @@
+import { getAppearance, saveAppearance, isDarkMode, applyAppearance, DEFAULT_APPEARANCE } from './appearance';
+
+const STORAGE_KEY = 'book-finder:appearance';
+
+// jsdom has no matchMedia, so each test decides what the OS prefers
+const preferDark = (matches) => {
+  window.matchMedia = jest.fn(query => ({ media: query, matches }));
+};
+
+afterEach(() => {
+  delete window.matchMedia;
+  window.localStorage.clear();
+});
+
+describe('getAppearance', () => {
+  it('defaults to the system mode and the ocean theme', () => {
+    expect(getAppearance()).toEqual({ mode: 'system', theme: 'ocean' });
+  });
+
+  it('returns what was saved', () => {
+    saveAppearance({ mode: 'dark', theme: 'sunset' });
+
+    expect(getAppearance()).toEqual({ mode: 'dark', theme: 'sunset' });
+  });
+
+  it('replaces unknown values one at a time', () => {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ mode: 'sepia', theme: 'orchid' }));
+
+    expect(getAppearance()).toEqual({ mode: 'system', theme: 'orchid' });
+  });
+
+  it('falls back to the defaults for corrupt storage', () => {
+    window.localStorage.setItem(STORAGE_KEY, '{not json');
+
+    expect(getAppearance()).toEqual(DEFAULT_APPEARANCE);
+  });
+});
+
+describe('isDarkMode', () => {
+  it('follows the explicit mode whatever the OS prefers', () => {
+    preferDark(true);
+
+    expect(isDarkMode('light')).toBe(false);
+    expect(isDarkMode('dark')).toBe(true);
+  });
+
+  it('follows the OS preference in system mode', () => {
+    preferDark(true);
+    expect(isDarkMode('system')).toBe(true);
+
+    preferDark(false);
+    expect(isDarkMode('system')).toBe(false);
+    expect(window.matchMedia).toHaveBeenCalledWith('(prefers-color-scheme: dark)');
+  });
+
+  it('is light in system mode where the preference cannot be read', () => {
+    expect(isDarkMode('system')).toBe(false);
+  });
+});
+
+describe('applyAppearance', () => {
+  it('sets the dark class, color scheme and theme on the document root', () => {
+    const root = document.documentElement;
+
+    applyAppearance({ mode: 'dark', theme: 'orchid' });
+    expect(root.classList.contains('dark')).toBe(true);
+    expect(root.style.colorScheme).toBe('dark');
+    expect(root.dataset.theme).toBe('orchid');
+
+    applyAppearance({ mode: 'light', theme: 'ocean' });
+    expect(root.classList.contains('dark')).toBe(false);
+    expect(root.style.colorScheme).toBe('light');
+    expect(root.dataset.theme).toBe('ocean');
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Whether a book can be read today, from the lending fields on search docs
+ * (ebook_access, has_fulltext, public_scan_b, ia, lending_identifier_s, lending_edition_s)
+ */
+
+import { BASE_URL } from './openLibrary';
+
+const ARCHIVE_URL = 'https://archive.org';
+
+export const AVAILABILITY_STATUSES = {
+  public: { label: 'Public domain read', icon: '📗', action: 'Read' },
+  borrowable: { label: 'Borrowable', icon: '📘', action: 'Borrow' },
+  preview: { label: 'Preview only', icon: '👀', action: 'Preview' },
+  unavailable: { label: 'Not available', icon: '🚫', action: null }
+};
+
+/**
+ * Works out the availability status of a search doc. Older docs without
+ * ebook_access fall back to the public scan and full text flags.
+ * @param {Object} book - Search doc
+ * @returns {string} Key of AVAILABILITY_STATUSES
+ */
+export const getAvailabilityStatus = (book) => {
+  switch (book.ebook_access) {
+    case 'public': return 'public';
+    case 'borrowable': return 'borrowable';
+    case 'printdisabled': return 'preview';
+    case 'no_ebook': return 'unavailable';
+    default:
+      if (book.public_scan_b) return 'public';
+      return book.has_fulltext ? 'borrowable' : 'unavailable';
+  }
+};
+
+/**
+ * Link to read, borrow or preview a book: the Internet Archive viewer when the doc
+ * names a scan, otherwise the lending edition's Open Library page
+ * @param {Object} book - Search doc
+ * @returns {string|null}
+ */
+export const getReadUrl = (book) => {
+  const identifier = book.lending_identifier_s || (book.ia && book.ia[0]);
+  if (identifier) return `${ARCHIVE_URL}/details/${encodeURIComponent(identifier)}`;
+  if (book.lending_edition_s) return `${BASE_URL}/books/${book.lending_edition_s}`;
+  return null;
+};
+
+/**
+ * Availability of a book with the link for its action, if it has one
+ * @param {Object} book - Search doc
+ * @returns {{ status: string, label: string, icon: string, action: string|null, url: string|null }}
+ */
+export const getAvailability = (book) => {
+  const status = getAvailabilityStatus(book);
+  const details = AVAILABILITY_STATUSES[status];
+  const url = details.action ? getReadUrl(book) : null;
+  return { status, ...details, action: url ? details.action : null, url };
+};
@@ -0,0 +1,44 @@
+import { getAvailabilityStatus, getReadUrl, getAvailability } from './availability';
+
+describe('getAvailabilityStatus', () => {
+  it.each([
+    ['public', 'public'],
+    ['borrowable', 'borrowable'],
+    ['printdisabled', 'preview'],
+    ['no_ebook', 'unavailable']
+  ])('maps ebook_access %s to %s', (ebookAccess, status) => {
+    expect(getAvailabilityStatus({ ebook_access: ebookAccess })).toBe(status);
+  });
+
+  it('falls back to the scan flags on docs without ebook_access', () => {
+    expect(getAvailabilityStatus({ public_scan_b: true, has_fulltext: true })).toBe('public');
+    expect(getAvailabilityStatus({ has_fulltext: true })).toBe('borrowable');
+    expect(getAvailabilityStatus({})).toBe('unavailable');
+  });
+});
+
+describe('getReadUrl', () => {
+  it('prefers the lending scan, then the first scan, then the lending edition', () => {
+    expect(getReadUrl({ lending_identifier_s: 'dune00herb', ia: ['other'] })).toBe('https://archive.org/details/dune00herb');
+    expect(getReadUrl({ ia: ['emma 1815'] })).toBe('https://archive.org/details/emma%201815');
+    expect(getReadUrl({ lending_edition_s: 'OL7353617M' })).toBe('https://openlibrary.org/books/OL7353617M');
+    expect(getReadUrl({})).toBeNull();
+  });
+});
+
+describe('getAvailability', () => {
+  it('pairs the status with its action and link', () => {
+    expect(getAvailability({ ebook_access: 'borrowable', ia: ['dune00herb'] })).toEqual({
+      status: 'borrowable',
+      label: 'Borrowable',
+      icon: '📘',
+      action: 'Borrow',
+      url: 'https://archive.org/details/dune00herb'
+    });
+  });
+
+  it('has no action without a link or for unavailable books', () => {
+    expect(getAvailability({ ebook_access: 'public' })).toMatchObject({ status: 'public', action: null, url: null });
+    expect(getAvailability({ ebook_access: 'no_ebook', ia: ['dune00herb'] })).toMatchObject({ action: null, url: null });
+  });
+});
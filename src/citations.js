@@ -0,0 +1,209 @@
+/**
+ * Citation formatting for books in APA 7, MLA 9, Chicago (bibliography) and BibTeX.
+ * Works from search docs, optionally refined by an edition record, and produces
+ * plain text so citations can be pasted anywhere.
+ */
+
+export const CITATION_STYLES = [
+  { value: 'apa', label: 'APA 7' },
+  { value: 'mla', label: 'MLA 9' },
+  { value: 'chicago', label: 'Chicago' },
+  { value: 'bibtex', label: 'BibTeX' }
+];
+
+const firstOf = (values) => (Array.isArray(values) && values.length > 0 ? values[0] : null);
+
+/**
+ * Collects the fields a citation needs, preferring the edition's details when given
+ * @param {Object} book - Search doc or saved book
+ * @param {Object} edition - Optional edition record from /works/{id}/editions.json
+ * @returns {{ authors: Array<string>, title: string, publisher: string, year: string, isbn: string }}
+ */
+export const getCitationFields = (book, edition = null) => {
+  const editionYear = edition && (edition.publish_date || '').match(/\d{4}/);
+  return {
+    authors: (book.author_name || []).filter(name => name && name !== 'Unknown Author'),
+    title: (edition && edition.title) || book.title || 'Untitled',
+    publisher: (edition && firstOf(edition.publishers)) || firstOf(book.publisher),
+    year: editionYear ? editionYear[0] : book.first_publish_year ? String(book.first_publish_year) : null,
+    isbn: (edition && (firstOf(edition.isbn_13) || firstOf(edition.isbn_10))) || firstOf(book.isbn)
+  };
+};
+
+/**
+ * Splits a display name into family and given names.
+ * Handles both "Given Family" and "Family, Given" forms. Lowercase particles
+ * before the family name ("de", "van", "von") belong to the family name.
+ * @param {string} name - Author name
+ */
+const splitName = (name) => {
+  const trimmed = name.trim();
+  if (trimmed.includes(',')) {
+    const [family, ...rest] = trimmed.split(',');
+    return { family: family.trim(), given: rest.join(',').trim() };
+  }
+  const parts = trimmed.split(/\s+/);
+  let familyStart = parts.length - 1;
+  while (familyStart > 1 && /^\p{Ll}/u.test(parts[familyStart - 1])) familyStart--;
+  return { family: parts.slice(familyStart).join(' '), given: parts.slice(0, familyStart).join(' ') };
+};
+
+/**
+ * Abbreviates given names: "J.R.R." becomes "J. R. R." and hyphenated names
+ * keep their hyphen, so "Jean-Paul" becomes "J.-P."
+ * @param {string} given - Given names
+ */
+const initials = (given) => given
+  .split(/\s+/)
+  .map(word => word
+    .split('-')
+    .map(part => part.split('.').filter(Boolean).map(name => `${name[0].toUpperCase()}.`).join(' '))
+    .filter(Boolean)
+    .join('-'))
+  .filter(Boolean)
+  .join(' ');
+
+// "Family, Given" or just "Family" for single-word names
+const invertedName = ({ family, given }) => (given ? `${family}, ${given}` : family);
+const directName = ({ family, given }) => (given ? `${given} ${family}` : family);
+
+// Adds a closing period unless the text already ends with punctuation
+const withPeriod = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+const formatApa = ({ authors, title, publisher, year }) => {
+  const names = authors.map(splitName).map(name => (name.given ? `${name.family}, ${initials(name.given)}` : name.family));
+  let authorText = '';
+  if (names.length === 1) {
+    authorText = names[0];
+  } else if (names.length > 1 && names.length <= 20) {
+    authorText = `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+  } else if (names.length > 20) {
+    authorText = `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+  }
+
+  const date = `(${year || 'n.d.'}).`;
+  const parts = authorText
+    ? [withPeriod(authorText), date, withPeriod(title)]
+    : [withPeriod(title), date];
+  if (publisher) parts.push(withPeriod(publisher));
+  return parts.join(' ');
+};
+
+const formatMla = ({ authors, title, publisher, year }) => {
+  const names = authors.map(splitName);
+  let authorText = '';
+  if (names.length === 1) {
+    authorText = invertedName(names[0]);
+  } else if (names.length === 2) {
+    authorText = `${invertedName(names[0])}, and ${directName(names[1])}`;
+  } else if (names.length > 2) {
+    authorText = `${invertedName(names[0])}, et al`;
+  }
+
+  const parts = authorText ? [withPeriod(authorText), withPeriod(title)] : [withPeriod(title)];
+  const publication = [publisher, year].filter(Boolean).join(', ');
+  if (publication) parts.push(withPeriod(publication));
+  return parts.join(' ');
+};
+
+const formatChicago = ({ authors, title, publisher, year }) => {
+  // More than ten authors: list the first seven followed by et al.
+  const names = authors.map(splitName);
+  const listed = names.length > 10 ? names.slice(0, 7) : names;
+  const formatted = listed.map((name, index) => (index === 0 ? invertedName(name) : directName(name)));
+  let authorText = '';
+  if (names.length > 10) {
+    authorText = `${formatted.join(', ')}, et al`;
+  } else if (formatted.length === 1) {
+    authorText = formatted[0];
+  } else if (formatted.length === 2) {
+    authorText = `${formatted[0]}, and ${formatted[1]}`;
+  } else if (formatted.length > 2) {
+    authorText = `${formatted.slice(0, -1).join(', ')}, and ${formatted[formatted.length - 1]}`;
+  }
+
+  const parts = authorText ? [withPeriod(authorText), withPeriod(title)] : [withPeriod(title)];
+  const publication = [publisher, year].filter(Boolean).join(', ');
+  if (publication) parts.push(withPeriod(publication));
+  return parts.join(' ');
+};
+
+/**
+ * Builds a BibTeX key like "orwell1949nineteen"
+ */
+const bibtexKey = ({ authors, title, year }) => {
+  const family = authors.length > 0 ? splitName(authors[0]).family : 'anon';
+  const word = title.split(/\s+/).find(w => w.replace(/[^a-z0-9]/gi, '').length > 3) || title;
+  const clean = (text) => text.normalize('NFD').replace(/[^a-z0-9]/gi, '').toLowerCase();
+  return `${clean(family)}${year || ''}${clean(word)}`;
+};
+
+const escapeBibtex = (text) => text.replace(/([&%$#_{}])/g, '\\$1');
+
+const formatBibtex = (fields) => {
+  const entries = [
+    ['author', fields.authors.map(name => invertedName(splitName(name))).join(' and ')],
+    // Double braces keep BibTeX styles from changing the title's capitalization
+    ['title', fields.title && `{${escapeBibtex(fields.title)}}`],
+    ['publisher', fields.publisher],
+    ['year', fields.year],
+    ['isbn', fields.isbn]
+  ].filter(([, value]) => value);
+
+  const body = entries
+    .map(([name, value]) => `  ${name} = {${name === 'title' ? value : escapeBibtex(value)}}`)
+    .join(',\n');
+  return `@book{${bibtexKey(fields)},\n${body}\n}`;
+};
+
+const FORMATTERS = {
+  apa: formatApa,
+  mla: formatMla,
+  chicago: formatChicago,
+  bibtex: formatBibtex
+};
+
+/**
+ * Formats one book as a citation
+ * @param {Object} book - Search doc or saved book
+ * @param {string} style - One of CITATION_STYLES' values
+ * @param {Object} edition - Optional edition record to cite instead of the work
+ */
+export const formatCitation = (book, style, edition = null) => FORMATTERS[style](getCitationFields(book, edition));
+
+/**
+ * Formats a list of books as a bibliography, alphabetized for the author-date styles
+ * @param {Array} books - Books to cite
+ * @param {string} style - One of CITATION_STYLES' values
+ */
+export const formatBibliography = (books, style) => {
+  const citations = books.map(book => formatCitation(book, style));
+  if (style !== 'bibtex') {
+    citations.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+  }
+  return citations.join('\n\n');
+};
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the
+ * Clipboard API is unavailable (e.g. non-HTTPS pages)
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>}
+ */
+export const copyToClipboard = async (text) => {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  document.body.removeChild(textarea);
+  if (!copied) throw new Error('Copy failed');
+};
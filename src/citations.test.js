@@ -0,0 +1,91 @@
+import { formatCitation, formatBibliography, getCitationFields } from './citations';
+
+const book = (author_name, extra = {}) => ({
+  title: 'The Book',
+  author_name,
+  publisher: ['Penguin'],
+  first_publish_year: 1950,
+  ...extra
+});
+
+describe('author names in APA', () => {
+  it('spaces out initials written without spaces', () => {
+    expect(formatCitation(book(['J.R.R. Tolkien']), 'apa')).toBe('Tolkien, J. R. R. (1950). The Book. Penguin.');
+  });
+
+  it('keeps the hyphen between hyphenated initials', () => {
+    expect(formatCitation(book(['Jean-Paul Sartre']), 'apa')).toBe('Sartre, J.-P. (1950). The Book. Penguin.');
+    expect(formatCitation(book(['J.-P. Sartre']), 'apa')).toBe('Sartre, J.-P. (1950). The Book. Penguin.');
+  });
+
+  it('keeps lowercase particles with the family name', () => {
+    expect(formatCitation(book(['Simone de Beauvoir']), 'apa')).toBe('de Beauvoir, S. (1950). The Book. Penguin.');
+    expect(formatCitation(book(['Ludwig van der Rohe']), 'apa')).toBe('van der Rohe, L. (1950). The Book. Penguin.');
+  });
+
+  it('reads names already written family first', () => {
+    expect(formatCitation(book(['Orwell, George']), 'apa')).toBe('Orwell, G. (1950). The Book. Penguin.');
+  });
+
+  it('joins two authors with an ampersand', () => {
+    expect(formatCitation(book(['Terry Pratchett', 'Neil Gaiman']), 'apa'))
+      .toBe('Pratchett, T., & Gaiman, N. (1950). The Book. Penguin.');
+  });
+});
+
+describe('formatCitation', () => {
+  it('formats MLA with the particle in the family name', () => {
+    expect(formatCitation(book(['Simone de Beauvoir']), 'mla')).toBe('de Beauvoir, Simone. The Book. Penguin, 1950.');
+  });
+
+  it('formats MLA with et al. for three or more authors', () => {
+    expect(formatCitation(book(['Ann Able', 'Bo Baker', 'Cy Cole']), 'mla')).toBe('Able, Ann, et al. The Book. Penguin, 1950.');
+  });
+
+  it('formats Chicago with every author', () => {
+    expect(formatCitation(book(['Terry Pratchett', 'Neil Gaiman']), 'chicago'))
+      .toBe('Pratchett, Terry, and Neil Gaiman. The Book. Penguin, 1950.');
+  });
+
+  it('puts the title first without authors', () => {
+    expect(formatCitation(book(['Unknown Author']), 'apa')).toBe('The Book. (1950). Penguin.');
+  });
+
+  it('formats BibTeX with an escaped title and a generated key', () => {
+    expect(formatCitation(book(['George Orwell'], { title: 'Nineteen Eighty-Four & Co', isbn: ['9780451524935'] }), 'bibtex'))
+      .toBe([
+        '@book{orwell1950nineteen,',
+        '  author = {Orwell, George},',
+        '  title = {{Nineteen Eighty-Four \\& Co}},',
+        '  publisher = {Penguin},',
+        '  year = {1950},',
+        '  isbn = {9780451524935}',
+        '}'
+      ].join('\n'));
+  });
+});
+
+describe('getCitationFields', () => {
+  it('prefers the edition title, publisher, year and ISBN', () => {
+    const edition = { title: 'The Book (Revised)', publishers: ['Vintage'], publish_date: 'March 2001', isbn_10: ['0123456789'] };
+
+    expect(getCitationFields(book(['Ann Able']), edition)).toEqual({
+      authors: ['Ann Able'],
+      title: 'The Book (Revised)',
+      publisher: 'Vintage',
+      year: '2001',
+      isbn: '0123456789'
+    });
+  });
+});
+
+describe('formatBibliography', () => {
+  it('alphabetizes author-date styles', () => {
+    const books = [book(['Zadie Smith']), book(['Chinua Achebe'])];
+
+    expect(formatBibliography(books, 'apa').split('\n\n')).toEqual([
+      'Achebe, C. (1950). The Book. Penguin.',
+      'Smith, Z. (1950). The Book. Penguin.'
+    ]);
+  });
+});
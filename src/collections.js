@@ -0,0 +1,144 @@
+/**
+ * Named collections of saved books. Each collection is
+ * { id, name, description, createdAt, books }, where books are saved search
+ * docs stamped with addedDate. Books are identified by book.key || book.title.
+ */
+
+export const DEFAULT_COLLECTION_NAME = 'Bookmarks';
+
+const getBookId = (book) => book.key || book.title;
+
+const generateId = () => `col-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Creates a new collection
+ * @param {Object} fields - { name, description, books }
+ */
+export const createCollection = ({ name, description = '', books = [] }) => ({
+  id: generateId(),
+  name: name.trim() || 'Untitled collection',
+  description: description.trim(),
+  createdAt: new Date().toISOString(),
+  books
+});
+
+/**
+ * Builds the initial collections from a pre-collections bookmarks list
+ * @param {Array} bookmarks - Books from the old flat bookmarks list
+ */
+export const migrateBookmarks = (bookmarks) => [
+  createCollection({
+    name: DEFAULT_COLLECTION_NAME,
+    description: 'Books you bookmarked',
+    books: bookmarks.map(book => ({ addedDate: new Date().toISOString(), ...book }))
+  })
+];
+
+/**
+ * Whether a collection contains a book
+ * @param {Object} collection - Collection to check
+ * @param {Object} book - Book to look for
+ */
+export const isInCollection = (collection, book) => {
+  const bookId = getBookId(book);
+  return collection.books.some(b => getBookId(b) === bookId);
+};
+
+/**
+ * Whether a book is saved in any collection
+ * @param {Array} collections - All collections
+ * @param {Object} book - Book to look for
+ */
+export const isBookSaved = (collections, book) => collections.some(collection => isInCollection(collection, book));
+
+/**
+ * Every saved book across collections, without duplicates
+ * @param {Array} collections - All collections
+ */
+export const getAllSavedBooks = (collections) => {
+  const seen = new Set();
+  const books = [];
+  collections.forEach(collection => {
+    collection.books.forEach(book => {
+      const bookId = getBookId(book);
+      if (!seen.has(bookId)) {
+        seen.add(bookId);
+        books.push(book);
+      }
+    });
+  });
+  return books;
+};
+
+const updateCollection = (collections, collectionId, update) => collections.map(collection => (
+  collection.id === collectionId ? update(collection) : collection
+));
+
+/**
+ * Adds a book to a collection, or removes it if it is already there
+ */
+export const toggleBookInCollection = (collections, collectionId, book) => updateCollection(
+  collections,
+  collectionId,
+  collection => (isInCollection(collection, book)
+    ? { ...collection, books: collection.books.filter(b => getBookId(b) !== getBookId(book)) }
+    : { ...collection, books: [...collection.books, { ...book, addedDate: new Date().toISOString() }] })
+);
+
+/**
+ * Removes a book from a collection
+ */
+export const removeBookFromCollection = (collections, collectionId, bookId) => updateCollection(
+  collections,
+  collectionId,
+  collection => ({ ...collection, books: collection.books.filter(b => getBookId(b) !== bookId) })
+);
+
+/**
+ * Copies or moves a book from one collection to another. The book keeps its
+ * addedDate and is not duplicated if the target already has it.
+ * @param {Array} collections - All collections
+ * @param {string} bookId - book.key || book.title of the book
+ * @param {string} fromId - Source collection id
+ * @param {string} toId - Target collection id
+ * @param {boolean} copy - Keep the book in the source collection
+ */
+export const transferBook = (collections, bookId, fromId, toId, copy = false) => {
+  const source = collections.find(collection => collection.id === fromId);
+  const book = source && source.books.find(b => getBookId(b) === bookId);
+  if (!book || fromId === toId) return collections;
+
+  return collections.map(collection => {
+    if (collection.id === toId && !isInCollection(collection, book)) {
+      return { ...collection, books: [...collection.books, book] };
+    }
+    if (collection.id === fromId && !copy) {
+      return { ...collection, books: collection.books.filter(b => getBookId(b) !== bookId) };
+    }
+    return collection;
+  });
+};
+
+/**
+ * Renames a collection and/or changes its description
+ */
+export const editCollection = (collections, collectionId, { name, description }) => updateCollection(
+  collections,
+  collectionId,
+  collection => ({
+    ...collection,
+    name: name !== undefined ? name.trim() || collection.name : collection.name,
+    description: description !== undefined ? description.trim() : collection.description
+  })
+);
+
+/**
+ * Replaces a collection's books, e.g. after an import
+ */
+export const setCollectionBooks = (collections, collectionId, books) => updateCollection(
+  collections,
+  collectionId,
+  collection => ({ ...collection, books })
+);
+
+export const deleteCollection = (collections, collectionId) => collections.filter(collection => collection.id !== collectionId);
@@ -0,0 +1,129 @@
+import {
+  createCollection,
+  migrateBookmarks,
+  isBookSaved,
+  getAllSavedBooks,
+  toggleBookInCollection,
+  removeBookFromCollection,
+  transferBook,
+  editCollection,
+  setCollectionBooks,
+  deleteCollection
+} from './collections';
+import { mergeBooks } from './listTransfer';
+
+const dune = { key: '/works/OL1W', title: 'Dune' };
+const emma = { key: '/works/OL2W', title: 'Emma' };
+const untitledKey = { title: 'Pamphlet' };
+
+const setup = () => {
+  const toRead = { ...createCollection({ name: 'To read', books: [dune, emma] }), id: 'to-read' };
+  const favourites = { ...createCollection({ name: ' Favourites ', description: ' Best ' }), id: 'favourites' };
+  return [toRead, favourites];
+};
+
+const bookTitles = (collections, id) => collections.find(c => c.id === id).books.map(book => book.title);
+
+describe('createCollection', () => {
+  it('trims the name and description and names blank collections', () => {
+    const [, favourites] = setup();
+
+    expect(favourites).toMatchObject({ name: 'Favourites', description: 'Best', books: [] });
+    expect(createCollection({ name: '  ' }).name).toBe('Untitled collection');
+    expect(createCollection({ name: 'A' }).id).not.toBe(createCollection({ name: 'A' }).id);
+  });
+});
+
+describe('migrateBookmarks', () => {
+  it('moves old bookmarks into a Bookmarks collection, keeping their added dates', () => {
+    const [collection] = migrateBookmarks([dune, { ...emma, addedDate: '2020-01-01T00:00:00.000Z' }]);
+
+    expect(collection.name).toBe('Bookmarks');
+    expect(collection.books).toHaveLength(2);
+    expect(typeof collection.books[0].addedDate).toBe('string');
+    expect(collection.books[1].addedDate).toBe('2020-01-01T00:00:00.000Z');
+  });
+});
+
+describe('saved books', () => {
+  it('finds books by key, or by title without one', () => {
+    const collections = toggleBookInCollection(setup(), 'favourites', untitledKey);
+
+    expect(isBookSaved(collections, { ...dune, title: 'Dune (Deluxe)' })).toBe(true);
+    expect(isBookSaved(collections, { title: 'Pamphlet' })).toBe(true);
+    expect(isBookSaved(collections, { key: '/works/OL9W', title: 'Dune' })).toBe(false);
+  });
+
+  it('lists every saved book once', () => {
+    const collections = toggleBookInCollection(setup(), 'favourites', dune);
+
+    expect(getAllSavedBooks(collections).map(book => book.title)).toEqual(['Dune', 'Emma']);
+  });
+});
+
+describe('changing collections', () => {
+  it('toggles a book in and out of a collection', () => {
+    const added = toggleBookInCollection(setup(), 'favourites', dune);
+
+    expect(bookTitles(added, 'favourites')).toEqual(['Dune']);
+    expect(typeof added[1].books[0].addedDate).toBe('string');
+    expect(bookTitles(toggleBookInCollection(added, 'favourites', dune), 'favourites')).toEqual([]);
+  });
+
+  it('removes a book by id', () => {
+    expect(bookTitles(removeBookFromCollection(setup(), 'to-read', '/works/OL1W'), 'to-read')).toEqual(['Emma']);
+  });
+
+  it('edits the name and description, keeping the name when blank', () => {
+    const [toRead] = editCollection(setup(), 'to-read', { name: '  ', description: ' Soon ' });
+
+    expect(toRead).toMatchObject({ name: 'To read', description: 'Soon' });
+  });
+
+  it('deletes a collection', () => {
+    expect(deleteCollection(setup(), 'to-read').map(c => c.id)).toEqual(['favourites']);
+  });
+});
+
+describe('transferBook', () => {
+  it('moves a book, keeping its fields', () => {
+    const collections = transferBook(setup(), '/works/OL1W', 'to-read', 'favourites');
+
+    expect(bookTitles(collections, 'to-read')).toEqual(['Emma']);
+    expect(collections[1].books).toEqual([dune]);
+  });
+
+  it('copies a book without removing it from the source', () => {
+    const collections = transferBook(setup(), '/works/OL1W', 'to-read', 'favourites', true);
+
+    expect(bookTitles(collections, 'to-read')).toEqual(['Dune', 'Emma']);
+    expect(bookTitles(collections, 'favourites')).toEqual(['Dune']);
+  });
+
+  it('does not duplicate a book the target already has', () => {
+    const collections = transferBook(toggleBookInCollection(setup(), 'favourites', dune), '/works/OL1W', 'to-read', 'favourites');
+
+    expect(bookTitles(collections, 'favourites')).toEqual(['Dune']);
+    expect(bookTitles(collections, 'to-read')).toEqual(['Emma']);
+  });
+
+  it('leaves the collections alone for unknown books or the same collection', () => {
+    const collections = setup();
+
+    expect(transferBook(collections, '/works/OL9W', 'to-read', 'favourites')).toBe(collections);
+    expect(transferBook(collections, '/works/OL1W', 'to-read', 'to-read')).toBe(collections);
+  });
+});
+
+describe('importing into a collection', () => {
+  it('appends new books and skips ones already there', () => {
+    const collections = setup();
+    const { merged, added, duplicates } = mergeBooks(collections[0].books, [{ ...emma, title: 'Emma (Penguin)' }, untitledKey]);
+
+    const updated = setCollectionBooks(collections, 'to-read', merged);
+
+    expect({ added, duplicates }).toEqual({ added: 1, duplicates: 1 });
+    expect(bookTitles(updated, 'to-read')).toEqual(['Dune', 'Emma', 'Pamphlet']);
+    expect(updated[1]).toBe(collections[1]);
+  });
+});
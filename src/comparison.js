@@ -0,0 +1,82 @@
+/**
+ * Side-by-side comparison of search docs. Rows describe how to read each field;
+ * buildComparison marks rows whose values differ and, for list fields, the
+ * values that not every compared book shares.
+ */
+
+import { coverUrl } from './openLibrary';
+import { getAvailability } from './availability';
+
+export const MAX_COMPARED_BOOKS = 4;
+
+// List fields only show their first few values
+const MAX_LIST_VALUES = 8;
+
+const getBookId = (book) => book.key || book.title;
+
+/**
+ * Rows of the comparison table. `list` rows compare individual values;
+ * the others compare the whole value.
+ */
+export const COMPARISON_ROWS = [
+  { id: 'authors', label: 'Authors', list: true, getValue: book => book.author_name || [] },
+  { id: 'year', label: 'First published', getValue: book => book.first_publish_year || null },
+  { id: 'editions', label: 'Editions', getValue: book => book.edition_count || null },
+  { id: 'pages', label: 'Pages (median)', getValue: book => book.number_of_pages_median || null },
+  { id: 'languages', label: 'Languages', list: true, getValue: book => book.language || [] },
+  { id: 'subjects', label: 'Subjects', list: true, getValue: book => (book.subject || []).slice(0, MAX_LIST_VALUES) },
+  {
+    id: 'rating',
+    label: 'Rating',
+    getValue: book => (book.ratings_average
+      ? `${book.ratings_average.toFixed(1)} ★ (${(book.ratings_count || 0).toLocaleString()} ratings)`
+      : null)
+  },
+  { id: 'availability', label: 'Availability', getValue: book => getAvailability(book).label }
+];
+
+/**
+ * Whether a book is in the comparison
+ * @param {Array} compared - Books being compared
+ * @param {Object} book - Book to look for
+ */
+export const isCompared = (compared, book) => compared.some(b => getBookId(b) === getBookId(book));
+
+/**
+ * Adds a book to the comparison, or removes it if it's already there.
+ * A full comparison is returned unchanged.
+ * @param {Array} compared - Books being compared
+ * @param {Object} book - Book to toggle
+ */
+export const toggleComparison = (compared, book) => {
+  if (isCompared(compared, book)) return compared.filter(b => getBookId(b) !== getBookId(book));
+  if (compared.length >= MAX_COMPARED_BOOKS) return compared;
+  return [...compared, book];
+};
+
+/**
+ * Builds the comparison table for a set of books
+ * @param {Array} books - Books to compare
+ * @returns {{ covers: Array, rows: Array<{ id, label, list, differs, cells }> }} Each cell is
+ * { value } for plain rows or { values: [{ value, shared }] } for list rows
+ */
+export const buildComparison = (books) => {
+  const rows = COMPARISON_ROWS.map(row => {
+    const values = books.map(row.getValue);
+
+    if (row.list) {
+      // A value is shared when every compared book has it
+      const normalized = values.map(list => new Set(list.map(value => String(value).toLowerCase())));
+      const isShared = (value) => normalized.every(set => set.has(String(value).toLowerCase()));
+      const cells = values.map(list => ({ values: list.map(value => ({ value, shared: isShared(value) })) }));
+      const differs = cells.some(cell => cell.values.some(item => !item.shared))
+        || normalized.some(set => set.size !== normalized[0].size);
+      return { ...row, differs, cells };
+    }
+
+    const differs = values.some(value => value !== values[0]);
+    return { ...row, differs, cells: values.map(value => ({ value })) };
+  });
+
+  return { covers: books.map(book => coverUrl(book.cover_i, 'M')), rows };
+};
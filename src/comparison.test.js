@@ -0,0 +1,66 @@
+import { MAX_COMPARED_BOOKS, isCompared, toggleComparison, buildComparison } from './comparison';
+
+const book = (key, extra = {}) => ({ key, title: key, ...extra });
+
+describe('toggleComparison', () => {
+  it('adds a book, then removes it again', () => {
+    const added = toggleComparison([], book('a'));
+
+    expect(added).toEqual([book('a')]);
+    expect(isCompared(added, book('a'))).toBe(true);
+    expect(toggleComparison(added, book('a'))).toEqual([]);
+  });
+
+  it('leaves a full comparison unchanged', () => {
+    const full = Array.from({ length: MAX_COMPARED_BOOKS }, (_, index) => book(`book-${index}`));
+
+    expect(toggleComparison(full, book('extra'))).toBe(full);
+    expect(toggleComparison(full, book('book-0'))).toHaveLength(MAX_COMPARED_BOOKS - 1);
+  });
+});
+
+describe('buildComparison', () => {
+  const dune = book('/works/OL1W', {
+    author_name: ['Frank Herbert'],
+    first_publish_year: 1965,
+    edition_count: 120,
+    language: ['eng', 'fre'],
+    cover_i: 11,
+    ebook_access: 'borrowable',
+    ia: ['dune00herb']
+  });
+  const messiah = book('/works/OL2W', {
+    author_name: ['Frank Herbert'],
+    first_publish_year: 1969,
+    edition_count: 120,
+    language: ['ENG'],
+    ratings_average: 4.04,
+    ratings_count: 1234,
+    ebook_access: 'no_ebook'
+  });
+
+  const { covers, rows } = buildComparison([dune, messiah]);
+  const row = (id) => rows.find(item => item.id === id);
+
+  it('returns a cover per book', () => {
+    expect(covers).toEqual(['https://covers.openlibrary.org/b/id/11-M.jpg', null]);
+  });
+
+  it('marks rows whose values differ', () => {
+    expect(row('year')).toMatchObject({ differs: true, cells: [{ value: 1965 }, { value: 1969 }] });
+    expect(row('editions').differs).toBe(false);
+    expect(row('availability').cells).toEqual([{ value: 'Borrowable' }, { value: 'Not available' }]);
+    expect(row('rating').cells).toEqual([{ value: null }, { value: '4.0 ★ (1,234 ratings)' }]);
+  });
+
+  it('marks list values not every book shares, ignoring case', () => {
+    expect(row('authors').differs).toBe(false);
+    expect(row('languages')).toMatchObject({
+      differs: true,
+      cells: [
+        { values: [{ value: 'eng', shared: true }, { value: 'fre', shared: false }] },
+        { values: [{ value: 'ENG', shared: true }] }
+      ]
+    });
+  });
+});
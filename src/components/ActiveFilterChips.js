@@ -0,0 +1,75 @@
+import React from 'react';
+
+const LANGUAGE_NAMES = {
+  eng: 'English',
+  spa: 'Spanish',
+  fre: 'French',
+  ger: 'German',
+  ita: 'Italian'
+};
+
+/**
+ * Builds the chips to show for the active filters. Year bounds share one chip.
+ * @param {Object} filters - Current filters state
+ */
+const getChips = (filters) => {
+  const chips = [];
+
+  if (filters.yearFrom || filters.yearTo) {
+    chips.push({
+      fields: ['yearFrom', 'yearTo'],
+      label: `Published: ${filters.yearFrom || '…'}–${filters.yearTo || '…'}`
+    });
+  }
+  if (filters.language) {
+    chips.push({ fields: ['language'], label: `Language: ${LANGUAGE_NAMES[filters.language] || filters.language}` });
+  }
+  if (filters.subject) {
+    chips.push({ fields: ['subject'], label: `Subject: ${filters.subject}` });
+  }
+  if (filters.author) {
+    chips.push({ fields: ['author'], label: `Author: ${filters.author}` });
+  }
+  if (filters.publisher) {
+    chips.push({ fields: ['publisher'], label: `Publisher: ${filters.publisher}` });
+  }
+  if (filters.readable) {
+    chips.push({ fields: ['readable'], label: 'Readable or borrowable' });
+  }
+
+  return chips;
+};
+
+/**
+ * ActiveFilterChips component shows each active filter as a removable chip
+ * @param {Object} filters - Current filters state
+ * @param {Function} onRemove - Function called with the filter fields to clear
+ */
+const ActiveFilterChips = ({ filters, onRemove }) => {
+  const chips = getChips(filters);
+
+  if (chips.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap justify-center gap-2 mb-6">
+      {chips.map(chip => (
+        <span
+          key={chip.fields.join('-')}
+          className="inline-flex items-center pl-3 pr-1 py-1 bg-primary-100 dark:bg-primary-900/60 text-primary-800 dark:text-primary-200 rounded-full text-sm font-medium"
+        >
+          {chip.label}
+          <button
+            type="button"
+            onClick={() => onRemove(chip.fields)}
+            className="ml-2 w-5 h-5 rounded-full flex items-center justify-center hover:bg-primary-200 dark:hover:bg-primary-800 transition-colors duration-200"
+            aria-label={`Remove filter ${chip.label}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default ActiveFilterChips;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { COLOR_MODES, THEMES } from '../appearance';
+
+/**
+ * AppearanceControls component switches between light, dark and system color modes
+ * and picks the named color theme
+ * @param {Object} appearance - Current appearance: { mode, theme }
+ * @param {Function} onChange - Function called with the new appearance
+ */
+const AppearanceControls = ({ appearance, onChange }) => (
+  <div className="flex items-center space-x-3">
+    <div className="flex rounded-lg bg-white/10 p-1" role="group" aria-label="Color mode">
+      {COLOR_MODES.map(mode => (
+        <button
+          key={mode.value}
+          type="button"
+          onClick={() => onChange({ ...appearance, mode: mode.value })}
+          aria-pressed={appearance.mode === mode.value}
+          title={`${mode.label} mode`}
+          className={`px-2 py-1 rounded-md text-sm transition-colors duration-200 ${
+            appearance.mode === mode.value ? 'bg-white/30' : 'hover:bg-white/20'
+          }`}
+        >
+          <span aria-hidden="true">{mode.icon}</span>
+          <span className="sr-only">{mode.label}</span>
+        </button>
+      ))}
+    </div>
+    <label htmlFor="colorTheme" className="sr-only">Color theme</label>
+    <select
+      id="colorTheme"
+      value={appearance.theme}
+      onChange={(e) => onChange({ ...appearance, theme: e.target.value })}
+      className="px-2 py-1 rounded-lg bg-white/10 text-white text-sm border border-white/20 focus:outline-none focus:ring-2 focus:ring-white/50"
+    >
+      {THEMES.map(theme => (
+        <option key={theme.value} value={theme.value} className="text-gray-800 dark:text-gray-100 dark:bg-gray-800">{theme.label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default AppearanceControls;
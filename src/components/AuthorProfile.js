@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import BookCard from './BookCard';
+import openLibrary, { authorPhotoUrl, getErrorMessage } from '../openLibrary';
+
+const WORKS_PER_PAGE = 12;
+
+const errorClassName = 'bg-gradient-to-r from-red-50 dark:from-red-900/30 to-red-100 dark:to-red-900/50 border-2 border-red-200 dark:border-red-800 rounded-2xl p-6 mb-8 text-red-700 dark:text-red-300';
+
+/**
+ * Normalizes the Open Library bio field, which can be a string or { type, value }
+ * @param {string|Object} bio - Raw bio from the author record
+ */
+const getBioText = (bio) => {
+  if (!bio) return null;
+  return typeof bio === 'string' ? bio : bio.value || null;
+};
+
+/**
+ * Converts an entry from /authors/{key}/works.json into the search doc shape BookCard expects
+ * @param {Object} work - Work entry
+ * @param {Object} author - Author record
+ */
+const toBook = (work, author) => {
+  const yearMatch = (work.first_publish_date || '').match(/\d{4}/);
+  return {
+    key: work.key,
+    title: work.title,
+    author_name: [author.name],
+    author_key: [author.key.split('/').pop()],
+    cover_i: (work.covers || []).find(id => id > 0),
+    first_publish_year: yearMatch ? parseInt(yearMatch[0], 10) : undefined,
+    subject: work.subjects
+  };
+};
+
+/**
+ * AuthorProfile component shows an author's bio, dates, photo and paginated bibliography
+ * @param {string} authorKey - Author key, e.g. 'OL23919A'
+ * @param {Object} cardProps - Props passed through to each BookCard (handlers, bookmarks, readingList)
+ */
+const AuthorProfile = ({ authorKey, cardProps }) => {
+  const [author, setAuthor] = useState(null);
+  const [works, setWorks] = useState([]);
+  const [totalWorks, setTotalWorks] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [worksLoading, setWorksLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [worksError, setWorksError] = useState(null);
+
+  /**
+   * Load the author record when the author changes
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    setAuthor(null);
+    setPage(1);
+
+    openLibrary.getAuthor(authorKey, { signal: controller.signal })
+      .then(setAuthor)
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          setError(`Failed to load author: ${getErrorMessage(err)}`);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [authorKey]);
+
+  /**
+   * Load one page of the author's works
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    setWorksLoading(true);
+    setWorksError(null);
+
+    openLibrary.getAuthorWorks(authorKey, {
+      signal: controller.signal,
+      limit: WORKS_PER_PAGE,
+      offset: (page - 1) * WORKS_PER_PAGE
+    })
+      .then((data) => {
+        setWorks(data.entries || []);
+        setTotalWorks(data.size || 0);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          setWorksError(`Failed to load works: ${getErrorMessage(err)}`);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setWorksLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [authorKey, page]);
+
+  if (loading) {
+    return <p className="text-center text-gray-600 dark:text-gray-300 py-16 animate-pulse-slow">Loading author...</p>;
+  }
+
+  if (error) {
+    return <div role="alert" className={errorClassName}>{error}</div>;
+  }
+
+  if (!author) return null;
+
+  const bio = getBioText(author.bio);
+  const photoUrl = authorPhotoUrl((author.photos || []).find(id => id > 0), 'L');
+  const totalPages = Math.max(1, Math.ceil(totalWorks / WORKS_PER_PAGE));
+
+  return (
+    <div className="mb-8 animate-fadeInUp">
+      {/* Author Header */}
+      <div className="bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm rounded-2xl shadow-large p-8 mb-8 border border-white/20 dark:border-gray-700/50 flex flex-col md:flex-row gap-8">
+        <div className="w-40 h-52 flex-shrink-0 mx-auto md:mx-0 bg-gradient-to-br from-gray-100 dark:from-gray-700 to-gray-200 dark:to-gray-800 rounded-xl overflow-hidden flex items-center justify-center">
+          {photoUrl ? (
+            <img src={photoUrl} alt="" className="w-full h-full object-cover" />
+          ) : (
+            <span className="text-5xl">✍️</span>
+          )}
+        </div>
+        <div className="flex-1 min-w-0">
+          <h2 className="text-3xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2">{author.name}</h2>
+          {(author.birth_date || author.death_date) && (
+            <p className="text-gray-600 dark:text-gray-300 mb-4">
+              {author.birth_date || '?'} – {author.death_date || (author.birth_date ? 'present' : '?')}
+            </p>
+          )}
+          <p className="text-gray-700 dark:text-gray-200 leading-relaxed whitespace-pre-line">
+            {bio || 'No biography available.'}
+          </p>
+        </div>
+      </div>
+
+      {/* Bibliography */}
+      <div className="text-center mb-8">
+        <h3 className="text-2xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2">📚 Works</h3>
+        <p className="text-gray-600 dark:text-gray-300">{totalWorks} works by {author.name}</p>
+      </div>
+
+      {worksLoading ? (
+        <p className="text-center text-gray-600 dark:text-gray-300 py-8 animate-pulse-slow">Loading works...</p>
+      ) : worksError ? (
+        <div role="alert" className={errorClassName}>{worksError}</div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-8">
+          {works.map((work) => (
+            <BookCard key={work.key} book={toBook(work, author)} {...cardProps} />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center space-x-4 mt-12">
+          <button
+            type="button"
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1 || worksLoading}
+            className="px-4 py-2 bg-white/90 dark:bg-gray-800/90 text-primary-700 dark:text-primary-300 rounded-lg font-medium hover:bg-white dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            ← Previous
+          </button>
+          <span className="text-gray-700 dark:text-gray-200">Page {page} of {totalPages}</span>
+          <button
+            type="button"
+            onClick={() => setPage(page + 1)}
+            disabled={page === totalPages || worksLoading}
+            className="px-4 py-2 bg-white/90 dark:bg-gray-800/90 text-primary-700 dark:text-primary-300 rounded-lg font-medium hover:bg-white dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuthorProfile;
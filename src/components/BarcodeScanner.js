@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { isValidIsbn, normalizeIsbn } from '../isbn';
+
+// ISBN barcodes are EAN-13; some older books print UPC-A
+const BARCODE_FORMATS = ['ean_13', 'upc_a'];
+const SCAN_INTERVAL = 300;
+
+/**
+ * Whether this browser can scan barcodes with the camera
+ */
+export const canScanBarcodes = () => (
+  typeof window !== 'undefined'
+  && 'BarcodeDetector' in window
+  && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)
+);
+
+/**
+ * BarcodeScanner component shows the camera feed and reports the first ISBN barcode it reads.
+ * Only rendered where canScanBarcodes() is true; typing the ISBN is the fallback elsewhere.
+ * @param {Function} onDetected - Function called with the scanned ISBN
+ * @param {Function} onClose - Function to close the scanner
+ */
+const BarcodeScanner = ({ onDetected, onClose }) => {
+  const [error, setError] = useState(null);
+  const videoRef = useRef(null);
+  // Kept in a ref so a new callback from the parent doesn't restart the camera
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
+
+  /**
+   * Start the camera and poll frames for a barcode until one is an ISBN
+   */
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+
+    const start = async () => {
+      try {
+        const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) {
+          stop();
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const scan = async () => {
+          if (stopped) return;
+          try {
+            const barcodes = await detector.detect(videoRef.current);
+            const match = barcodes.map(barcode => normalizeIsbn(barcode.rawValue)).find(isValidIsbn);
+            if (match) {
+              stop();
+              onDetectedRef.current(match);
+              return;
+            }
+          } catch (err) {
+            // Frames can fail to decode while the camera warms up; keep polling
+          }
+          timer = setTimeout(scan, SCAN_INTERVAL);
+        };
+        scan();
+      } catch (err) {
+        if (!stopped) {
+          setError(err.name === 'NotAllowedError'
+            ? 'Camera access was denied. Type the ISBN instead.'
+            : 'The camera could not be started. Type the ISBN instead.');
+        }
+      }
+    };
+
+    start();
+    return stop;
+  }, []);
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-900/50 rounded-xl">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-200">Point the camera at the barcode on the back cover</p>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-sm text-primary-600 hover:text-primary-700 dark:hover:text-primary-300 font-medium transition-colors duration-200"
+        >
+          Cancel
+        </button>
+      </div>
+      {error ? (
+        <p className="text-sm text-red-700 dark:text-red-300" role="alert">{error}</p>
+      ) : (
+        <video ref={videoRef} className="w-full max-h-64 rounded-lg bg-black object-cover" muted playsInline />
+      )}
+    </div>
+  );
+};
+
+export default BarcodeScanner;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { CITATION_STYLES, formatBibliography, copyToClipboard } from '../citations';
+
+/**
+ * BibliographyControls component copies or downloads a whole list as a bibliography
+ * @param {Array} books - Books in the list
+ * @param {string} listName - Used in the downloaded file name, e.g. 'reading-list'
+ */
+const BibliographyControls = ({ books, listName }) => {
+  const [style, setStyle] = useState('apa');
+  const [status, setStatus] = useState(null);
+
+  const handleCopy = async () => {
+    try {
+      await copyToClipboard(formatBibliography(books, style));
+      setStatus(`Copied ${books.length} citations`);
+    } catch (err) {
+      setStatus('Copy failed — try downloading instead');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([formatBibliography(books, style)], { type: style === 'bibtex' ? 'application/x-bibtex' : 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `book-finder-${listName}-${style}.${style === 'bibtex' ? 'bib' : 'txt'}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  if (books.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-3 mb-8 text-sm">
+      <label htmlFor={`bibliography-style-${listName}`} className="text-gray-700 dark:text-gray-200 font-medium">Bibliography</label>
+      <select
+        id={`bibliography-style-${listName}`}
+        value={style}
+        onChange={(e) => {
+          setStyle(e.target.value);
+          setStatus(null);
+        }}
+        className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white/90 dark:bg-gray-800/90 focus:outline-none focus:ring-2 focus:ring-primary-500"
+      >
+        {CITATION_STYLES.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="px-4 py-2 bg-white/90 dark:bg-gray-800/90 text-primary-700 dark:text-primary-300 rounded-lg font-medium hover:bg-white dark:hover:bg-gray-700 transition-colors duration-200"
+      >
+        📋 Copy
+      </button>
+      <button
+        type="button"
+        onClick={handleDownload}
+        className="px-4 py-2 bg-white/90 dark:bg-gray-800/90 text-primary-700 dark:text-primary-300 rounded-lg font-medium hover:bg-white dark:hover:bg-gray-700 transition-colors duration-200"
+      >
+        ⬇️ Download
+      </button>
+      {status && <span className="text-gray-600 dark:text-gray-300" role="status">{status}</span>}
+    </div>
+  );
+};
+
+export default BibliographyControls;
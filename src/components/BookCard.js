@@ -0,0 +1,279 @@
+import React, { useState, useCallback, useId, useRef } from 'react';
+import ReadingProgressControls from './ReadingProgressControls';
+import CollectionPicker from './CollectionPicker';
+import { isBookSaved } from '../collections';
+import { MAX_COMPARED_BOOKS } from '../comparison';
+import { coverUrl } from '../openLibrary';
+import { getAvailability } from '../availability';
+import { authorPath } from '../urlState';
+
+const actionButtonClassName = 'w-8 h-8 rounded-full flex items-center justify-center transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2';
+
+const AVAILABILITY_BADGE_CLASSES = {
+  public: 'bg-green-500 text-white',
+  borrowable: 'bg-primary-600 text-white',
+  preview: 'bg-yellow-500 text-white',
+  unavailable: 'bg-gray-700/80 text-white'
+};
+
+/**
+ * BookCard component displays individual book information in a card format
+ * @param {Object} book - Book object containing title, author, publish year, and cover
+ * @param {Function} onToggleCollection - Function called with (collectionId, book) to add or remove the book
+ * @param {Function} onCreateCollection - Function called with (name, book) to create a collection holding the book
+ * @param {Function} onAddToReadingList - Function to add to reading list
+ * @param {Function} onRemoveFromReadingList - Function called with the book id to take it off the reading list
+ * @param {Function} onShowDetails - Function to show book details
+ * @param {Array} collections - Array of named collections
+ * @param {Array} readingList - Array of books in reading list
+ * @param {Object} readingEntry - Reading list entry, shown with progress controls when provided
+ * @param {Function} onUpdateReadingEntry - Function to update the reading list entry
+ * @param {Function} onShowAuthor - Function to open an author's profile, called with the author key
+ * @param {Function} onCite - Function to open the book's citations
+ * @param {Array} comparedBooks - Books in the comparison tray
+ * @param {Function} onToggleCompare - Function to add or remove the book from the comparison tray
+ */
+const BookCard = ({ book, onToggleCollection, onCreateCollection, onAddToReadingList, onRemoveFromReadingList, onShowDetails, collections = [], readingList = [], readingEntry, onUpdateReadingEntry, onShowAuthor, onCite, comparedBooks = [], onToggleCompare }) => {
+  // Extract book information with fallbacks
+  const title = book.title || 'Unknown Title';
+  const authors = book.author_name || ['Unknown Author'];
+  const authorKeys = book.author_key || [];
+  const publishYear = book.first_publish_year || 'Unknown Year';
+  const coverId = book.cover_i;
+  const bookId = book.key || book.title;
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const closePicker = useCallback(() => setPickerOpen(false), []);
+  const pickerButtonRef = useRef(null);
+  const titleId = useId();
+  
+  // Check if book is in any collection or in reading list
+  const isSaved = isBookSaved(collections, book);
+  const isInReadingList = readingList.some(b => (b.key || b.title) === bookId);
+  const isCompared = comparedBooks.some(b => (b.key || b.title) === bookId);
+  const compareFull = comparedBooks.length >= MAX_COMPARED_BOOKS;
+  
+  // Construct cover image URL if cover ID exists
+  const coverImageUrl = coverUrl(coverId, 'M');
+  const availability = getAvailability(book);
+
+  return (
+    <article
+      aria-labelledby={titleId}
+      className="group bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm rounded-2xl shadow-soft hover:shadow-large focus-within:shadow-large transition-all duration-300 overflow-hidden border border-white/20 dark:border-gray-700/50 transform hover:-translate-y-2"
+    >
+      {/* Book Cover */}
+      <div className="relative h-72 bg-gradient-to-br from-gray-100 dark:from-gray-700 to-gray-200 dark:to-gray-800 overflow-hidden">
+        <button
+          type="button"
+          onClick={() => onShowDetails && onShowDetails(book)}
+          aria-label={`Show details for ${title}`}
+          data-card-primary
+          className="block w-full h-full focus:outline-none focus-visible:ring-4 focus-visible:ring-inset focus-visible:ring-primary-500"
+        >
+          {coverImageUrl ? (
+            <img
+              src={coverImageUrl}
+              alt=""
+              className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105"
+              onError={(e) => {
+                // Fallback to placeholder if image fails to load
+                e.target.style.display = 'none';
+                e.target.nextSibling.style.display = 'flex';
+              }}
+            />
+          ) : null}
+          <div 
+            className={`w-full h-full flex items-center justify-center text-gray-400 dark:text-gray-500 ${coverImageUrl ? 'hidden' : 'flex'}`}
+          >
+            <div className="text-center">
+              <svg className="w-16 h-16 mx-auto mb-2" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+                <path d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              <p className="text-xs text-gray-500 dark:text-gray-400">No Cover</p>
+            </div>
+          </div>
+        </button>
+        
+        {/* Availability badge */}
+        <span
+          className={`absolute top-3 left-3 z-10 px-2 py-1 rounded-full text-xs font-semibold shadow-soft ${AVAILABILITY_BADGE_CLASSES[availability.status]}`}
+        >
+          <span aria-hidden="true">{availability.icon}</span> {availability.label}
+        </span>
+
+        {/* Action buttons overlay: shown on hover, on keyboard focus and always on touch screens */}
+        <div
+          className={`absolute top-3 right-3 z-10 flex flex-col space-y-2 transition-opacity duration-300 ${
+            pickerOpen ? 'opacity-100' : 'opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 [@media(hover:none)]:opacity-100'
+          }`}
+        >
+          <button
+            ref={pickerButtonRef}
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              if (onToggleCollection) setPickerOpen(!pickerOpen);
+            }}
+            onMouseDown={(e) => {
+              // Keep the picker's outside-click handler from closing it before this click toggles it
+              if (pickerOpen) e.stopPropagation();
+            }}
+            className={`${actionButtonClassName} ${
+              isSaved 
+                ? 'bg-yellow-500 text-white' 
+                : 'bg-white/90 dark:bg-gray-800/90 text-gray-600 dark:text-gray-300 hover:bg-yellow-500 hover:text-white'
+            }`}
+            title={isSaved ? 'Saved in a collection' : 'Add to collection'}
+            aria-label={isSaved ? `Change collections for ${title}` : `Add ${title} to a collection`}
+            aria-haspopup="dialog"
+            aria-expanded={pickerOpen}
+          >
+            <span aria-hidden="true">🔖</span>
+          </button>
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              if (isInReadingList && onRemoveFromReadingList) {
+                onRemoveFromReadingList(bookId);
+              } else if (onAddToReadingList) {
+                onAddToReadingList(book);
+              }
+            }}
+            className={`${actionButtonClassName} ${
+              isInReadingList 
+                ? 'bg-green-500 text-white' 
+                : 'bg-white/90 dark:bg-gray-800/90 text-gray-600 dark:text-gray-300 hover:bg-green-500 hover:text-white'
+            }`}
+            title={isInReadingList ? 'In reading list' : 'Add to reading list'}
+            aria-label={`${title} in reading list`}
+            aria-pressed={isInReadingList}
+          >
+            <span aria-hidden="true">📖</span>
+          </button>
+          {onCite && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onCite(book);
+              }}
+              className={`${actionButtonClassName} bg-white/90 dark:bg-gray-800/90 text-gray-600 dark:text-gray-300 hover:bg-primary-600 hover:text-white`}
+              title="Cite this book"
+              aria-label={`Cite ${title}`}
+            >
+              <span aria-hidden="true">❝</span>
+            </button>
+          )}
+        </div>
+        
+        {/* Collection picker */}
+        {pickerOpen && (
+          <CollectionPicker
+            book={book}
+            collections={collections}
+            onToggle={onToggleCollection}
+            onCreate={onCreateCollection}
+            onClose={closePicker}
+            triggerRef={pickerButtonRef}
+          />
+        )}
+
+        {/* Gradient overlay on hover */}
+        <div className="absolute inset-0 bg-gradient-to-t from-black/20 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none" aria-hidden="true"></div>
+
+        {/* Reading progress overlay */}
+        {readingEntry && onUpdateReadingEntry && (
+          <ReadingProgressControls
+            entry={readingEntry}
+            onUpdate={(changes) => onUpdateReadingEntry(bookId, changes)}
+          />
+        )}
+      </div>
+      
+      {/* Book Information */}
+      <div className="p-6">
+        <h3 id={titleId} className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-3 line-clamp-2 group-hover:text-primary-600 transition-colors duration-200">
+          {title}
+        </h3>
+        
+        <div className="space-y-3">
+          <div>
+            <div className="flex items-center mb-1">
+              <span className="text-xs font-semibold text-primary-600 uppercase tracking-wide">Author</span>
+            </div>
+            <p className="text-sm text-gray-700 dark:text-gray-200 leading-relaxed">
+              {Array.isArray(authors) ? authors.map((name, index) => (
+                <React.Fragment key={`${name}-${index}`}>
+                  {index > 0 && ', '}
+                  {onShowAuthor && authorKeys[index] ? (
+                    <a
+                      href={authorPath(authorKeys[index])}
+                      onClick={(e) => {
+                        e.preventDefault();
+                        onShowAuthor(authorKeys[index]);
+                      }}
+                      className="text-primary-700 dark:text-primary-300 hover:text-primary-800 dark:hover:text-primary-200 hover:underline"
+                    >
+                      {name}
+                    </a>
+                  ) : name}
+                </React.Fragment>
+              )) : authors}
+            </p>
+          </div>
+          
+          <div>
+            <div className="flex items-center mb-1">
+              <span className="text-xs font-semibold text-secondary-600 uppercase tracking-wide">Published</span>
+            </div>
+            <p className="text-sm text-gray-700 dark:text-gray-200 font-medium">{publishYear}</p>
+          </div>
+
+          {availability.url && (
+            <a
+              href={availability.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              aria-label={`${availability.action} ${title} (opens in a new tab)`}
+              className="inline-flex items-center px-3 py-1 bg-primary-50 dark:bg-primary-900/40 text-primary-700 dark:text-primary-300 rounded-lg text-sm font-semibold hover:bg-primary-100 dark:hover:bg-primary-900/60 transition-colors duration-200"
+            >
+              {availability.action} ↗
+            </a>
+          )}
+        </div>
+        
+        {/* Decorative element */}
+        <div className="mt-4 pt-4 border-t border-gray-100 dark:border-gray-700">
+          <div className="flex items-center justify-between">
+            <div className="flex space-x-1" aria-hidden="true">
+              <div className="w-2 h-2 bg-primary-400 rounded-full"></div>
+              <div className="w-2 h-2 bg-secondary-400 rounded-full"></div>
+              <div className="w-2 h-2 bg-accent-400 rounded-full"></div>
+            </div>
+            {onToggleCompare ? (
+              <label
+                className={`inline-flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-300 ${compareFull && !isCompared ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                title={compareFull && !isCompared ? 'The comparison tray is full' : undefined}
+              >
+                <input
+                  type="checkbox"
+                  checked={isCompared}
+                  disabled={compareFull && !isCompared}
+                  onChange={() => onToggleCompare(book)}
+                  aria-label={`Compare ${title}`}
+                  className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                />
+                <span>Compare</span>
+              </label>
+            ) : (
+              <span className="text-xs text-gray-400 dark:text-gray-500" aria-hidden="true">📖</span>
+            )}
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+};
+
+export default BookCard;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useRef } from 'react';
+import CitationPanel from './CitationPanel';
+import useModalDialog from '../useModalDialog';
+import openLibrary, { coverUrl, getErrorMessage } from '../openLibrary';
+
+/**
+ * Normalizes the Open Library description field, which can be either a
+ * plain string or an object of the form { type, value }
+ * @param {string|Object} description - Raw description from the work record
+ */
+const getDescriptionText = (description) => {
+  if (!description) return null;
+  return typeof description === 'string' ? description : description.value || null;
+};
+
+/**
+ * BookDetailsModal component shows the full Open Library work record for a book
+ * @param {Object} book - Search result object for the selected book
+ * @param {boolean} showCitation - Scroll straight to the citation section when opened
+ * @param {Function} onClose - Function to close the modal
+ */
+const BookDetailsModal = ({ book, showCitation = false, onClose }) => {
+  const [work, setWork] = useState(null);
+  const [editions, setEditions] = useState([]);
+  const [citedEdition, setCitedEdition] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const citationRef = useRef(null);
+
+  const title = book.title || 'Unknown Title';
+  const authors = book.author_name || ['Unknown Author'];
+  const coverId = book.cover_i;
+
+  /**
+   * Fetch the work record and its editions whenever the selected book changes
+   */
+  useEffect(() => {
+    if (!book.key || !book.key.startsWith('/works/')) {
+      setWork(null);
+      setEditions([]);
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    setCitedEdition(null);
+
+    Promise.all([
+      openLibrary.getWork(book.key, { signal: controller.signal }),
+      openLibrary.getEditions(book.key, { signal: controller.signal, limit: 20 })
+    ])
+      .then(([workData, editionsData]) => {
+        setWork(workData);
+        setEditions(editionsData.entries || []);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') {
+          setError(`Failed to load book details: ${getErrorMessage(err)}`);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [book.key]);
+
+  useModalDialog(dialogRef, closeButtonRef, onClose);
+
+  /**
+   * Bring the citation into view when the dialog was opened from a Cite action
+   */
+  useEffect(() => {
+    if (showCitation && !loading && citationRef.current) {
+      citationRef.current.scrollIntoView({ block: 'start' });
+    }
+  }, [showCitation, loading]);
+
+  const description = getDescriptionText(work && work.description);
+  const subjects = (work && work.subjects) || book.subject || [];
+  const largeCoverId = coverId || (work && work.covers && work.covers.find(id => id > 0));
+  const coverImageUrl = coverUrl(largeCoverId, 'L');
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm animate-fadeInUp"
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="book-details-title"
+        onClick={(e) => e.stopPropagation()}
+        className="relative w-full max-w-4xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 rounded-2xl shadow-large"
+      >
+        <button
+          ref={closeButtonRef}
+          onClick={onClose}
+          className="absolute top-4 right-4 w-10 h-10 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-gray-800 dark:hover:text-gray-100 flex items-center justify-center transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          aria-label="Close book details"
+        >
+          ×
+        </button>
+
+        <div className="flex flex-col md:flex-row gap-8 p-8">
+          {/* Large Cover */}
+          <div className="md:w-1/3 flex-shrink-0">
+            <div className="h-96 bg-gradient-to-br from-gray-100 dark:from-gray-700 to-gray-200 dark:to-gray-800 rounded-xl overflow-hidden flex items-center justify-center">
+              {coverImageUrl ? (
+                <img
+                  src={coverImageUrl}
+                  alt={`Cover for ${title}`}
+                  className="w-full h-full object-contain"
+                />
+              ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No Cover</p>
+              )}
+            </div>
+          </div>
+
+          {/* Work Information */}
+          <div className="flex-1 min-w-0">
+            <h2 id="book-details-title" className="text-3xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2 pr-12">
+              {title}
+            </h2>
+            <p className="text-lg text-gray-600 dark:text-gray-300 mb-1">
+              {Array.isArray(authors) ? authors.join(', ') : authors}
+            </p>
+            {book.first_publish_year && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">First published {book.first_publish_year}</p>
+            )}
+
+            {loading && (
+              <p className="text-gray-500 dark:text-gray-400 animate-pulse-slow">Loading details...</p>
+            )}
+
+            {error && (
+              <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-300 rounded-xl p-4 mb-6">{error}</div>
+            )}
+
+            {!loading && (
+              <>
+                <section className="mb-6">
+                  <h3 className="text-xs font-semibold text-primary-600 uppercase tracking-wide mb-2">Description</h3>
+                  <p className="text-gray-700 dark:text-gray-200 leading-relaxed whitespace-pre-line">
+                    {description || 'No description available.'}
+                  </p>
+                </section>
+
+                {subjects.length > 0 && (
+                  <section className="mb-6">
+                    <h3 className="text-xs font-semibold text-secondary-600 uppercase tracking-wide mb-2">Subjects</h3>
+                    <div className="flex flex-wrap gap-2">
+                      {subjects.slice(0, 20).map(subject => (
+                        <span key={subject} className="px-3 py-1 bg-secondary-50 dark:bg-secondary-900/40 text-secondary-700 dark:text-secondary-300 rounded-full text-xs font-medium">
+                          {subject}
+                        </span>
+                      ))}
+                    </div>
+                  </section>
+                )}
+
+                {editions.length > 0 && (
+                  <section>
+                    <h3 className="text-xs font-semibold text-accent-600 uppercase tracking-wide mb-2">
+                      Editions ({editions.length}{book.edition_count > editions.length ? ` of ${book.edition_count}` : ''})
+                    </h3>
+                    <ul className="divide-y divide-gray-100 dark:divide-gray-700 border border-gray-100 dark:border-gray-700 rounded-xl">
+                      {editions.map(edition => {
+                        const isbns = [...(edition.isbn_13 || []), ...(edition.isbn_10 || [])];
+                        return (
+                          <li key={edition.key} className="p-3 text-sm">
+                            <div className="flex items-start justify-between gap-3">
+                              <p className="font-medium text-gray-800 dark:text-gray-100">{edition.title || title}</p>
+                              <button
+                                type="button"
+                                onClick={() => {
+                                  setCitedEdition(edition);
+                                  if (citationRef.current) citationRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                                }}
+                                className="flex-shrink-0 text-xs text-primary-700 dark:text-primary-300 hover:text-primary-800 dark:hover:text-primary-200 font-medium"
+                              >
+                                Cite this edition
+                              </button>
+                            </div>
+                            <p className="text-gray-600 dark:text-gray-300">
+                              {(edition.publishers || ['Unknown Publisher']).join(', ')}
+                              {edition.publish_date ? ` • ${edition.publish_date}` : ''}
+                            </p>
+                            {isbns.length > 0 && (
+                              <p className="text-xs text-gray-500 dark:text-gray-400 font-mono mt-1">ISBN {isbns.join(', ')}</p>
+                            )}
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  </section>
+                )}
+
+                <section ref={citationRef} className="mt-6">
+                  <h3 className="text-xs font-semibold text-primary-600 uppercase tracking-wide mb-2">Cite</h3>
+                  <CitationPanel book={book} edition={citedEdition} onClearEdition={() => setCitedEdition(null)} />
+                </section>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookDetailsModal;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { getCacheStats, clearCache } from '../responseCache';
+
+/**
+ * Formats how long ago a timestamp was, e.g. "3 min ago"
+ * @param {number} timestamp - Time in milliseconds
+ */
+const formatAge = (timestamp) => {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.round(minutes / 60)} h ago`;
+};
+
+/**
+ * CacheInspector component lists cached Open Library responses and lets the user clear them
+ */
+const CacheInspector = () => {
+  const [open, setOpen] = useState(false);
+  const [stats, setStats] = useState(null);
+
+  const toggle = () => {
+    if (!open) setStats(getCacheStats());
+    setOpen(!open);
+  };
+
+  const handleClear = () => {
+    clearCache();
+    setStats(getCacheStats());
+  };
+
+  return (
+    <div className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+      <button
+        type="button"
+        onClick={toggle}
+        className="text-primary-600 hover:text-primary-700 dark:hover:text-primary-300 font-medium transition-colors duration-200"
+        aria-expanded={open}
+      >
+        {open ? 'Hide response cache' : 'Inspect response cache'}
+      </button>
+
+      {open && stats && (
+        <div className="mt-3 max-w-2xl mx-auto text-left bg-gray-50 dark:bg-gray-900/50 rounded-xl p-4">
+          <div className="flex items-center justify-between mb-2">
+            <span>
+              {stats.entries.length} cached {stats.entries.length === 1 ? 'response' : 'responses'} • {(stats.totalBytes / 1024).toFixed(1)} KB
+            </span>
+            <button
+              type="button"
+              onClick={handleClear}
+              disabled={stats.entries.length === 0}
+              className="px-3 py-1 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 rounded-lg hover:bg-red-100 dark:hover:bg-red-900/50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+              Clear cache
+            </button>
+          </div>
+          {stats.entries.length > 0 && (
+            <ul className="max-h-48 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700">
+              {stats.entries.map(entry => (
+                <li key={entry.url} className="py-1 flex items-center justify-between gap-3">
+                  <span className="truncate font-mono" title={entry.url}>
+                    {decodeURIComponent(entry.url.replace('https://openlibrary.org', ''))}
+                  </span>
+                  <span className="flex-shrink-0">
+                    {formatAge(entry.storedAt)}{entry.stale ? ' • stale' : ''}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CacheInspector;
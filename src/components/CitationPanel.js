@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { CITATION_STYLES, formatCitation, copyToClipboard } from '../citations';
+
+/**
+ * CitationPanel component shows a book's citation in a chosen style with a copy button
+ * @param {Object} book - Book to cite
+ * @param {Object} edition - Edition to cite instead of the work, if one was picked
+ * @param {Function} onClearEdition - Function to go back to citing the work
+ */
+const CitationPanel = ({ book, edition, onClearEdition }) => {
+  const [style, setStyle] = useState('apa');
+  const [copyStatus, setCopyStatus] = useState(null);
+  const citation = formatCitation(book, style, edition);
+
+  const handleCopy = async () => {
+    try {
+      await copyToClipboard(citation);
+      setCopyStatus('Copied!');
+    } catch (err) {
+      setCopyStatus('Copy failed — select the text and copy it manually.');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3" role="group" aria-label="Citation style">
+        {CITATION_STYLES.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            aria-pressed={style === option.value}
+            onClick={() => {
+              setStyle(option.value);
+              setCopyStatus(null);
+            }}
+            className={`px-3 py-1 rounded-full text-xs font-medium transition-all duration-200 ${
+              style === option.value
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {edition && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+          Citing the {edition.publish_date || 'selected'} edition{' '}
+          <button type="button" onClick={onClearEdition} className="text-primary-700 dark:text-primary-300 hover:text-primary-800 dark:hover:text-primary-200 font-medium">
+            (cite the work instead)
+          </button>
+        </p>
+      )}
+
+      <pre className={`p-4 bg-gray-50 dark:bg-gray-900/50 border border-gray-100 dark:border-gray-700 rounded-xl text-sm text-gray-800 dark:text-gray-100 whitespace-pre-wrap break-words ${style === 'bibtex' ? 'font-mono' : 'font-sans'}`}>
+        {citation}
+      </pre>
+
+      <div className="flex items-center space-x-3 mt-3">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 transition-colors duration-200"
+        >
+          📋 Copy citation
+        </button>
+        {copyStatus && <span className="text-sm text-gray-600 dark:text-gray-300" role="status">{copyStatus}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default CitationPanel;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+
+/**
+ * CollectionForm component edits a collection's name and description
+ * @param {string} initialName - Name to start from
+ * @param {string} initialDescription - Description to start from
+ * @param {string} submitLabel - Text of the submit button
+ * @param {Function} onSubmit - Function called with { name, description }
+ * @param {Function} onCancel - Function to dismiss the form, when it can be dismissed
+ */
+const CollectionForm = ({ initialName = '', initialDescription = '', submitLabel, onSubmit, onCancel }) => {
+  const [name, setName] = useState(initialName);
+  const [description, setDescription] = useState(initialDescription);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSubmit({ name, description });
+    if (!initialName) {
+      setName('');
+      setDescription('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Collection name"
+        aria-label="Collection name"
+        className="w-full px-4 py-2 border-2 border-gray-200 dark:border-gray-700 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all duration-200"
+        required
+      />
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description (optional)"
+        aria-label="Collection description"
+        rows={2}
+        className="w-full px-4 py-2 border-2 border-gray-200 dark:border-gray-700 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all duration-200"
+      />
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-600 dark:text-gray-300 rounded-lg font-medium hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg font-medium hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CollectionForm;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { isInCollection } from '../collections';
+
+/**
+ * CollectionPicker component is a popover for adding a book to collections,
+ * with a checkbox per collection and a field for creating a new one
+ * @param {Object} book - Book being saved
+ * @param {Array} collections - All collections
+ * @param {Function} onToggle - Function called with (collectionId, book) to add or remove the book
+ * @param {Function} onCreate - Function called with (name, book) to create a collection holding the book
+ * @param {Function} onClose - Function to close the popover
+ * @param {Object} triggerRef - Ref to the button that opened the popover, focused again on close
+ */
+const CollectionPicker = ({ book, collections, onToggle, onCreate, onClose, triggerRef }) => {
+  const [newName, setNewName] = useState('');
+  const containerRef = useRef(null);
+
+  /**
+   * Move focus to the first control on open and back to the trigger on close,
+   * unless the user has already moved it somewhere else on the page
+   */
+  useEffect(() => {
+    const container = containerRef.current;
+    const trigger = triggerRef && triggerRef.current;
+    const firstControl = container.querySelector('input:not([disabled]), button:not([disabled])');
+    if (firstControl) firstControl.focus();
+
+    return () => {
+      const focusLost = document.activeElement === document.body || container.contains(document.activeElement);
+      if (focusLost && trigger) trigger.focus();
+    };
+  }, [triggerRef]);
+
+  /**
+   * Close on Escape or when clicking anywhere outside the popover
+   */
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    onCreate(newName, book);
+    setNewName('');
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      role="dialog"
+      aria-label="Add to collection"
+      onClick={(e) => e.stopPropagation()}
+      className="absolute top-3 right-14 z-20 w-56 bg-white dark:bg-gray-800 rounded-xl shadow-large border border-gray-100 dark:border-gray-700 p-3 cursor-default"
+    >
+      <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">Save to collection</p>
+      <ul className="max-h-40 overflow-y-auto space-y-1 mb-3">
+        {collections.map(collection => (
+          <li key={collection.id}>
+            <label className="flex items-center space-x-2 px-2 py-1 rounded-lg hover:bg-primary-50 dark:hover:bg-primary-900/40 text-sm text-gray-700 dark:text-gray-200 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={isInCollection(collection, book)}
+                onChange={() => onToggle(collection.id, book)}
+                className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="truncate">{collection.name}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleCreate} className="flex space-x-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New collection"
+          aria-label="New collection name"
+          className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-200 dark:border-gray-700 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={!newName.trim()}
+          className="px-2 py-1 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+        >
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CollectionPicker;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import BookCard from './BookCard';
+import CollectionForm from './CollectionForm';
+import ListTransferControls from './ListTransferControls';
+import BibliographyControls from './BibliographyControls';
+
+/**
+ * CollectionView component shows one collection's books, with controls to edit the
+ * collection and to move, copy or remove each book
+ * @param {Object} collection - Collection to show
+ * @param {Array} collections - All collections, offered as move/copy targets
+ * @param {Object} cardProps - Props passed through to each BookCard (handlers, collections, readingList)
+ * @param {Function} onBack - Function to return to the collections index
+ * @param {Function} onEdit - Function called with (collectionId, { name, description })
+ * @param {Function} onRemoveBook - Function called with (collectionId, bookId)
+ * @param {Function} onTransferBook - Function called with (bookId, fromId, toId, copy)
+ * @param {Function} onImport - Function called with (collectionId, books); returns { added, duplicates }
+ */
+const CollectionView = ({ collection, collections, cardProps, onBack, onEdit, onRemoveBook, onTransferBook, onImport }) => {
+  const [editing, setEditing] = useState(false);
+  const otherCollections = collections.filter(c => c.id !== collection.id);
+  const listName = collection.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+  /**
+   * Handles the per-book move/copy select, whose values look like 'move:<id>' or 'copy:<id>'
+   */
+  const handleTransfer = (bookId, value) => {
+    const [action, targetId] = value.split(/:(.+)/);
+    onTransferBook(bookId, collection.id, targetId, action === 'copy');
+  };
+
+  return (
+    <div className="mb-8">
+      <button
+        type="button"
+        onClick={onBack}
+        className="mb-6 text-primary-700 dark:text-primary-300 hover:text-primary-800 dark:hover:text-primary-200 font-medium transition-colors duration-200"
+      >
+        ← All collections
+      </button>
+
+      {/* Collection Header */}
+      <div className="text-center mb-8">
+        {editing ? (
+          <div className="max-w-xl mx-auto bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm rounded-2xl shadow-soft p-6 border border-white/20 dark:border-gray-700/50 text-left">
+            <CollectionForm
+              initialName={collection.name}
+              initialDescription={collection.description}
+              submitLabel="Save"
+              onSubmit={(fields) => {
+                onEdit(collection.id, fields);
+                setEditing(false);
+              }}
+              onCancel={() => setEditing(false)}
+            />
+          </div>
+        ) : (
+          <>
+            <h2 className="text-3xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2">
+              🔖 {collection.name}
+            </h2>
+            {collection.description && (
+              <p className="text-gray-700 dark:text-gray-200 mb-2">{collection.description}</p>
+            )}
+            <p className="text-gray-600 dark:text-gray-300">
+              {collection.books.length > 0 ? `${collection.books.length} saved books` : 'No books in this collection yet'}
+              {' • '}
+              <button
+                type="button"
+                onClick={() => setEditing(true)}
+                className="text-primary-700 dark:text-primary-300 hover:text-primary-800 dark:hover:text-primary-200 font-medium"
+              >
+                Edit
+              </button>
+            </p>
+          </>
+        )}
+      </div>
+
+      <ListTransferControls
+        books={collection.books}
+        listName={listName}
+        onImport={(books) => onImport(collection.id, books)}
+      />
+      <BibliographyControls books={collection.books} listName={listName} />
+
+      {collection.books.length > 0 ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-8">
+          {collection.books.map((book, index) => {
+            const bookId = book.key || book.title;
+            return (
+              <div key={`collection-${bookId}-${index}`} className="animate-fadeInUp" style={{animationDelay: `${index * 0.1}s`}}>
+                <BookCard book={book} {...cardProps} />
+                <div className="mt-3 flex items-center space-x-2">
+                  {otherCollections.length > 0 && (
+                    <select
+                      value=""
+                      onChange={(e) => handleTransfer(bookId, e.target.value)}
+                      aria-label={`Move or copy ${book.title}`}
+                      className="flex-1 min-w-0 px-3 py-2 text-sm border-2 border-gray-200 dark:border-gray-700 rounded-xl bg-white dark:bg-gray-800 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    >
+                      <option value="" disabled>Move or copy to…</option>
+                      <optgroup label="Move to">
+                        {otherCollections.map(c => (
+                          <option key={`move-${c.id}`} value={`move:${c.id}`}>{c.name}</option>
+                        ))}
+                      </optgroup>
+                      <optgroup label="Copy to">
+                        {otherCollections.map(c => (
+                          <option key={`copy-${c.id}`} value={`copy:${c.id}`}>{c.name}</option>
+                        ))}
+                      </optgroup>
+                    </select>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => onRemoveBook(collection.id, bookId)}
+                    className="px-3 py-2 text-sm text-red-600 rounded-xl font-medium hover:bg-red-50 dark:hover:bg-red-900/30 transition-colors duration-200"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="text-center py-16">
+          <div className="bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm rounded-2xl shadow-large p-12 max-w-md mx-auto border border-white/20 dark:border-gray-700/50">
+            <div className="text-6xl mb-4">🔖</div>
+            <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-100 mb-3">Nothing here yet</h3>
+            <p className="text-gray-600 dark:text-gray-300">
+              Add books to this collection with the bookmark icon on any book card.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollectionView;
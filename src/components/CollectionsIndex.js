@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import CollectionForm from './CollectionForm';
+import { coverUrl } from '../openLibrary';
+import { collectionPath } from '../urlState';
+
+const PREVIEW_COVERS = 3;
+
+/**
+ * CollectionsIndex component lists every collection with its size and a few covers,
+ * and lets the user create, rename and delete collections
+ * @param {Array} collections - All collections
+ * @param {Function} onOpen - Function to open a collection, called with its id
+ * @param {Function} onCreate - Function called with { name, description } to create a collection
+ * @param {Function} onEdit - Function called with (collectionId, { name, description })
+ * @param {Function} onDelete - Function to delete a collection, called with its id
+ */
+const CollectionsIndex = ({ collections, onOpen, onCreate, onEdit, onDelete }) => {
+  const [editingId, setEditingId] = useState(null);
+
+  const handleDelete = (collection) => {
+    const message = collection.books.length > 0
+      ? `Delete "${collection.name}" and the ${collection.books.length} books saved in it?`
+      : `Delete "${collection.name}"?`;
+    if (window.confirm(message)) onDelete(collection.id);
+  };
+
+  return (
+    <div className="mb-8">
+      <div className="text-center mb-8">
+        <h2 className="text-3xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2">
+          🔖 My Collections
+        </h2>
+        <p className="text-gray-600 dark:text-gray-300">
+          {collections.length} {collections.length === 1 ? 'collection' : 'collections'}
+        </p>
+      </div>
+
+      {/* New Collection */}
+      <div className="max-w-xl mx-auto bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm rounded-2xl shadow-soft p-6 mb-8 border border-white/20 dark:border-gray-700/50">
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-3">New collection</h3>
+        <CollectionForm submitLabel="Create" onSubmit={onCreate} />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-8">
+        {collections.map((collection, index) => (
+          <div
+            key={collection.id}
+            className="bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm rounded-2xl shadow-soft hover:shadow-large transition-all duration-300 overflow-hidden border border-white/20 dark:border-gray-700/50 animate-fadeInUp"
+            style={{animationDelay: `${index * 0.1}s`}}
+          >
+            {/* Cover Preview */}
+            <a
+              href={collectionPath(collection.id)}
+              onClick={(e) => {
+                e.preventDefault();
+                onOpen(collection.id);
+              }}
+              className="flex h-40 bg-gradient-to-br from-gray-100 dark:from-gray-700 to-gray-200 dark:to-gray-800"
+              aria-label={`Open ${collection.name}`}
+            >
+              {collection.books.some(book => book.cover_i) ? (
+                collection.books.filter(book => book.cover_i).slice(0, PREVIEW_COVERS).map(book => (
+                  <img
+                    key={book.key || book.title}
+                    src={coverUrl(book.cover_i, 'M')}
+                    alt=""
+                    className="flex-1 min-w-0 h-full object-cover"
+                  />
+                ))
+              ) : (
+                <span className="m-auto text-5xl">📚</span>
+              )}
+            </a>
+
+            <div className="p-6">
+              {editingId === collection.id ? (
+                <CollectionForm
+                  initialName={collection.name}
+                  initialDescription={collection.description}
+                  submitLabel="Save"
+                  onSubmit={(fields) => {
+                    onEdit(collection.id, fields);
+                    setEditingId(null);
+                  }}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : (
+                <>
+                  <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-1 truncate">{collection.name}</h3>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+                    {collection.books.length} {collection.books.length === 1 ? 'book' : 'books'}
+                  </p>
+                  {collection.description && (
+                    <p className="text-sm text-gray-700 dark:text-gray-200 mb-4 line-clamp-2">{collection.description}</p>
+                  )}
+                  <div className="flex space-x-2 text-sm">
+                    <button
+                      type="button"
+                      onClick={() => onOpen(collection.id)}
+                      className="px-3 py-1 bg-primary-50 dark:bg-primary-900/40 text-primary-700 dark:text-primary-300 rounded-lg font-medium hover:bg-primary-100 dark:hover:bg-primary-900/60 transition-colors duration-200"
+                    >
+                      Open
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(collection.id)}
+                      className="px-3 py-1 text-gray-600 dark:text-gray-300 rounded-lg font-medium hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
+                    >
+                      Rename
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(collection)}
+                      className="px-3 py-1 text-red-600 rounded-lg font-medium hover:bg-red-50 dark:hover:bg-red-900/30 transition-colors duration-200"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CollectionsIndex;
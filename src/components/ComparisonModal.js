@@ -0,0 +1,133 @@
+import React, { useRef } from 'react';
+import { buildComparison } from '../comparison';
+import useModalDialog from '../useModalDialog';
+
+/**
+ * Renders one comparison cell. List values not shared by every book are highlighted.
+ */
+const ComparisonCell = ({ cell, list }) => {
+  if (list) {
+    if (cell.values.length === 0) return <span className="text-gray-400 dark:text-gray-500">—</span>;
+    return (
+      <ul className="flex flex-wrap gap-1">
+        {cell.values.map(({ value, shared }, index) => (
+          <li
+            key={`${value}-${index}`}
+            className={`px-2 py-0.5 rounded-full text-xs ${
+              shared
+                ? 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200'
+                : 'bg-accent-50 dark:bg-accent-900/40 text-accent-700 dark:text-accent-300 font-semibold'
+            }`}
+          >
+            {value}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  return cell.value === null
+    ? <span className="text-gray-400 dark:text-gray-500">—</span>
+    : <span>{typeof cell.value === 'number' ? cell.value.toLocaleString() : cell.value}</span>;
+};
+
+/**
+ * ComparisonModal component compares books side by side in a table, highlighting
+ * the rows and values that differ
+ * @param {Array} books - Books to compare
+ * @param {Function} onRemove - Function called with a book to take it out of the comparison
+ * @param {Function} onShowDetails - Function to show a book's details
+ * @param {Function} onClose - Function to close the comparison
+ */
+const ComparisonModal = ({ books, onRemove, onShowDetails, onClose }) => {
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const { covers, rows } = buildComparison(books);
+
+  useModalDialog(dialogRef, closeButtonRef, onClose);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm animate-fadeInUp"
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="comparison-title"
+        onClick={(e) => e.stopPropagation()}
+        className="relative w-full max-w-6xl max-h-[90vh] overflow-auto bg-white dark:bg-gray-800 rounded-2xl shadow-large p-8"
+      >
+        <button
+          ref={closeButtonRef}
+          onClick={onClose}
+          className="absolute top-4 right-4 w-10 h-10 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-gray-800 dark:hover:text-gray-100 flex items-center justify-center transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          aria-label="Close comparison"
+        >
+          ×
+        </button>
+
+        <h2 id="comparison-title" className="text-2xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2">
+          ⚖️ Compare Books
+        </h2>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-6">
+          Rows that differ are highlighted, as are the authors, languages and subjects not every book shares.
+        </p>
+
+        <table className="w-full text-sm text-left text-gray-700 dark:text-gray-200 border-collapse">
+          <thead>
+            <tr>
+              <th scope="col" className="w-40 p-3"><span className="sr-only">Field</span></th>
+              {books.map((book, index) => (
+                <th key={book.key || book.title} scope="col" className="p-3 align-top font-normal">
+                  <div className="w-24 h-36 mb-3 bg-gradient-to-br from-gray-100 dark:from-gray-700 to-gray-200 dark:to-gray-800 rounded-lg overflow-hidden flex items-center justify-center">
+                    {covers[index] ? (
+                      <img src={covers[index]} alt={`Cover for ${book.title}`} className="w-full h-full object-cover" />
+                    ) : (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">No Cover</span>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => onShowDetails(book)}
+                    className="block text-left font-semibold text-gray-800 dark:text-gray-100 hover:text-primary-600 line-clamp-2"
+                  >
+                    {book.title || 'Unknown Title'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onRemove(book)}
+                    className="mt-1 text-xs text-red-700 dark:text-red-300 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr
+                key={row.id}
+                className={`border-t border-gray-100 dark:border-gray-700 ${row.differs ? 'bg-accent-50/60 dark:bg-accent-900/20' : ''}`}
+              >
+                <th scope="row" className="p-3 align-top font-semibold text-gray-600 dark:text-gray-300">
+                  {row.label}
+                  {row.differs && <span className="sr-only"> (differs)</span>}
+                </th>
+                {row.cells.map((cell, index) => (
+                  <td key={index} className="p-3 align-top">
+                    <ComparisonCell cell={cell} list={row.list} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonModal;
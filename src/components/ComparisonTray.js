@@ -0,0 +1,68 @@
+import React from 'react';
+import { MAX_COMPARED_BOOKS } from '../comparison';
+import { coverUrl } from '../openLibrary';
+
+/**
+ * ComparisonTray component is a bar pinned to the bottom of the page holding the
+ * books picked for comparison
+ * @param {Array} books - Books picked for comparison
+ * @param {Function} onRemove - Function called with a book to take it out of the tray
+ * @param {Function} onClear - Function to empty the tray
+ * @param {Function} onOpen - Function to open the comparison table
+ */
+const ComparisonTray = ({ books, onRemove, onClear, onOpen }) => {
+  if (books.length === 0) return null;
+
+  return (
+    <div
+      role="region"
+      aria-label="Comparison tray"
+      className="fixed bottom-0 inset-x-0 z-40 bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm border-t border-gray-200 dark:border-gray-700 shadow-large"
+    >
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-wrap items-center gap-4">
+        <span className="text-sm font-semibold text-gray-700 dark:text-gray-200">
+          ⚖️ Compare ({books.length}/{MAX_COMPARED_BOOKS})
+        </span>
+        <ul className="flex flex-1 gap-3 min-w-0">
+          {books.map(book => {
+            const thumbnailUrl = coverUrl(book.cover_i, 'S');
+            return (
+              <li key={book.key || book.title} className="relative flex items-center gap-2 min-w-0 max-w-[12rem] pr-5">
+                {thumbnailUrl && <img src={thumbnailUrl} alt="" className="w-8 h-12 object-cover rounded flex-shrink-0" />}
+                <span className="text-xs text-gray-700 dark:text-gray-200 line-clamp-2">{book.title}</span>
+                <button
+                  type="button"
+                  onClick={() => onRemove(book)}
+                  aria-label={`Remove ${book.title} from comparison`}
+                  className="absolute top-0 right-0 w-5 h-5 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center justify-center"
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onClear}
+            className="px-3 py-2 rounded-lg text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
+          >
+            Clear
+          </button>
+          <button
+            type="button"
+            onClick={onOpen}
+            disabled={books.length < 2}
+            title={books.length < 2 ? 'Pick at least two books to compare' : undefined}
+            className="px-4 py-2 bg-gradient-to-r from-primary-600 to-secondary-600 text-white text-sm font-semibold rounded-lg shadow-medium disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            Compare now
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonTray;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import BookCard from './BookCard';
+
+/**
+ * EditionGroupCard component shows one BookCard for a group of near-duplicate results,
+ * with an "N editions" badge that expands to list the other entries
+ * @param {Object} group - Group from groupBooks: { key, book, members }
+ * @param {boolean} isNew - Highlights the card as new since the last run of a saved search
+ * @param {Object} cardProps - Props passed through to the BookCard (handlers, collections, readingList)
+ */
+const EditionGroupCard = ({ group, isNew, cardProps }) => {
+  const [expanded, setExpanded] = useState(false);
+  const others = group.members.filter(member => member !== group.book);
+
+  return (
+    <div className={isNew ? 'relative rounded-2xl ring-4 ring-accent-400' : undefined}>
+      {isNew && (
+        <span className="absolute -top-3 left-4 z-10 px-3 py-1 bg-accent-500 text-white rounded-full text-xs font-semibold shadow-medium">
+          🆕 New since last run
+        </span>
+      )}
+      <BookCard book={group.book} {...cardProps} />
+
+      {others.length > 0 && (
+        <div className="mt-3">
+          <button
+            type="button"
+            onClick={() => setExpanded(!expanded)}
+            aria-expanded={expanded}
+            className="px-3 py-1 bg-accent-50 dark:bg-accent-900/40 text-accent-700 dark:text-accent-300 rounded-full text-xs font-semibold hover:bg-accent-100 dark:hover:bg-accent-900/60 transition-colors duration-200"
+          >
+            📚 {group.members.length} editions {expanded ? '▴' : '▾'}
+          </button>
+
+          {expanded && (
+            <ul className="mt-2 bg-white/95 dark:bg-gray-800/95 rounded-xl border border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700 text-sm">
+              {others.map((member, index) => (
+                <li key={`${member.key || member.title}-${index}`}>
+                  <button
+                    type="button"
+                    onClick={() => cardProps.onShowDetails && cardProps.onShowDetails(member)}
+                    className="w-full text-left px-3 py-2 hover:bg-primary-50 dark:hover:bg-primary-900/40 transition-colors duration-200"
+                  >
+                    <span className="block font-medium text-gray-800 dark:text-gray-100 truncate">{member.title}</span>
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                      {member.first_publish_year || 'Unknown year'}
+                      {member.edition_count ? ` • ${member.edition_count} printings` : ''}
+                      {member.language && member.language.length > 0 ? ` • ${member.language.slice(0, 3).join(', ')}` : ''}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EditionGroupCard;
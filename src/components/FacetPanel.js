@@ -0,0 +1,42 @@
+import React from 'react';
+import { FACET_GROUPS } from '../facets';
+
+/**
+ * FacetPanel component lists facet values with counts built from the loaded results
+ * @param {Object} facets - Facet values keyed by group name (from buildFacets)
+ * @param {Function} onSelect - Function called with (groupName, value) when a facet is chosen
+ */
+const FacetPanel = ({ facets, onSelect }) => {
+  const groups = FACET_GROUPS.filter(group => facets[group.name] && facets[group.name].length > 0);
+
+  if (groups.length === 0) return null;
+
+  return (
+    <div className="bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm rounded-2xl shadow-soft p-6 mb-8 border border-white/20 dark:border-gray-700/50">
+      <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-200 mb-4">🧭 Refine Results</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-6">
+        {groups.map(group => (
+          <div key={group.name}>
+            <h4 className="text-xs font-semibold text-primary-600 uppercase tracking-wide mb-2">{group.label}</h4>
+            <ul className="space-y-1">
+              {facets[group.name].map(({ value, count }) => (
+                <li key={value}>
+                  <button
+                    type="button"
+                    onClick={() => onSelect(group.name, value)}
+                    className="w-full flex items-center justify-between text-left text-sm text-gray-700 dark:text-gray-200 hover:text-primary-700 dark:hover:text-primary-300 transition-colors duration-200"
+                  >
+                    <span className="truncate pr-2">{group.name === 'decade' ? `${value}s` : value}</span>
+                    <span className="flex-shrink-0 px-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400 rounded-full text-xs">{count}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FacetPanel;
@@ -0,0 +1,107 @@
+import React, { useState, useRef } from 'react';
+import { EXPORT_FORMATS, exportBooks, importBooks, detectFormat } from '../listTransfer';
+
+/**
+ * ListTransferControls component exports a saved list to a file and imports one back
+ * @param {Array} books - Books in the list being exported
+ * @param {string} listName - Used in the exported file name, e.g. 'bookmarks'
+ * @param {Function} onImport - Called with the parsed books; returns { added, duplicates }
+ */
+const ListTransferControls = ({ books, listName, onImport }) => {
+  const [format, setFormat] = useState('json');
+  const [summary, setSummary] = useState(null);
+  const fileInputRef = useRef(null);
+
+  /**
+   * Serializes the list and triggers a download
+   */
+  const handleExport = () => {
+    const formatInfo = EXPORT_FORMATS.find(f => f.value === format);
+    const blob = new Blob([exportBooks(books, format)], { type: formatInfo.mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `book-finder-${listName}${format === 'goodreads' ? '-goodreads' : ''}.${formatInfo.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Reads the chosen file, parses it and reports what was merged
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const { books: imported, invalid } = importBooks(text, detectFormat(file.name, text));
+      const { added, duplicates } = onImport(imported);
+      setSummary({ type: 'success', added, duplicates, invalid });
+    } catch (err) {
+      setSummary({ type: 'error', message: `Could not import ${file.name}: ${err.message}` });
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center mb-8">
+      <div className="flex flex-wrap items-center justify-center gap-3">
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white/90 dark:bg-gray-800/90 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          aria-label="Export format"
+        >
+          {EXPORT_FORMATS.map(f => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={books.length === 0}
+          className="px-4 py-2 bg-white/90 dark:bg-gray-800/90 text-primary-700 dark:text-primary-300 rounded-lg text-sm font-medium hover:bg-white dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+        >
+          ⬇️ Export
+        </button>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          className="px-4 py-2 bg-white/90 dark:bg-gray-800/90 text-secondary-700 dark:text-secondary-300 rounded-lg text-sm font-medium hover:bg-white dark:hover:bg-gray-700 transition-colors duration-200"
+        >
+          ⬆️ Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+
+      {summary && (
+        <div
+          className={`mt-4 px-4 py-2 rounded-lg text-sm flex items-center space-x-3 ${
+            summary.type === 'error' ? 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300' : 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+          }`}
+          role="status"
+        >
+          <span>
+            {summary.type === 'error'
+              ? summary.message
+              : `Imported ${summary.added} new ${summary.added === 1 ? 'book' : 'books'}, skipped ${summary.duplicates} already saved${summary.invalid ? ` and ${summary.invalid} unreadable ${summary.invalid === 1 ? 'row' : 'rows'}` : ''}.`}
+          </span>
+          <button type="button" onClick={() => setSummary(null)} className="font-bold" aria-label="Dismiss import summary">
+            ×
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ListTransferControls;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * OfflineBanner component tells the user they're offline and which search is waiting to run
+ * @param {string} queuedQuery - Query of the search that will run once back online, if any
+ */
+const OfflineBanner = ({ queuedQuery }) => (
+  <div
+    role="status"
+    className="bg-gradient-to-r from-yellow-50 dark:from-yellow-900/30 to-yellow-100 dark:to-yellow-900/50 border-2 border-yellow-200 dark:border-yellow-800 rounded-2xl p-6 mb-8 shadow-soft animate-fadeInUp text-yellow-800 dark:text-yellow-200"
+  >
+    <div className="flex items-start space-x-4">
+      <span className="text-2xl" aria-hidden="true">📡</span>
+      <div>
+        <h3 className="font-semibold mb-1">You're offline</h3>
+        <p className="text-sm">
+          Your collections and reading list are still available, along with any searches you ran recently.
+          {queuedQuery && ` Your search for "${queuedQuery}" will run as soon as you're back online.`}
+        </p>
+      </div>
+    </div>
+  </div>
+);
+
+export default OfflineBanner;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { getPageItems } from '../paging';
+
+const pageButtonClassName = 'min-w-[2.5rem] px-3 py-2 rounded-lg text-sm font-medium transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Pagination component is a numbered pager with previous/next buttons and a jump-to-page field
+ * @param {number} currentPage - Page being shown
+ * @param {number} totalPages - Total number of pages
+ * @param {boolean} disabled - Disables the controls, e.g. while a page is loading
+ * @param {Function} onPageChange - Function called with the chosen page number
+ */
+const Pagination = ({ currentPage, totalPages, disabled, onPageChange }) => {
+  const [jumpValue, setJumpValue] = useState('');
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const page = parseInt(jumpValue, 10);
+    if (page >= 1 && page <= totalPages && page !== currentPage) {
+      onPageChange(page);
+    }
+    setJumpValue('');
+  };
+
+  if (totalPages <= 1) return null;
+
+  return (
+    <nav className="flex flex-wrap items-center justify-center gap-2 mt-12" aria-label="Search results pages">
+      <button
+        type="button"
+        onClick={() => onPageChange(currentPage - 1)}
+        disabled={disabled || currentPage === 1}
+        className={`${pageButtonClassName} bg-white/90 dark:bg-gray-800/90 text-primary-700 dark:text-primary-300 hover:bg-white dark:hover:bg-gray-700`}
+      >
+        ← Previous
+      </button>
+
+      {getPageItems(currentPage, totalPages).map((item, index) => (
+        item === 'gap' ? (
+          <span key={`gap-${index}`} className="px-1 text-gray-500 dark:text-gray-400" aria-hidden="true">…</span>
+        ) : (
+          <button
+            key={item}
+            type="button"
+            onClick={() => onPageChange(item)}
+            disabled={disabled}
+            aria-current={item === currentPage ? 'page' : undefined}
+            aria-label={`Page ${item}`}
+            className={`${pageButtonClassName} ${
+              item === currentPage
+                ? 'bg-primary-600 text-white shadow-medium'
+                : 'bg-white/90 dark:bg-gray-800/90 text-gray-700 dark:text-gray-200 hover:bg-white dark:hover:bg-gray-700'
+            }`}
+          >
+            {item}
+          </button>
+        )
+      ))}
+
+      <button
+        type="button"
+        onClick={() => onPageChange(currentPage + 1)}
+        disabled={disabled || currentPage === totalPages}
+        className={`${pageButtonClassName} bg-white/90 dark:bg-gray-800/90 text-primary-700 dark:text-primary-300 hover:bg-white dark:hover:bg-gray-700`}
+      >
+        Next →
+      </button>
+
+      <form onSubmit={handleJump} className="flex items-center gap-2 ml-2">
+        <label htmlFor="jumpToPage" className="text-sm text-gray-700 dark:text-gray-200">Go to page</label>
+        <input
+          type="number"
+          id="jumpToPage"
+          min="1"
+          max={totalPages}
+          value={jumpValue}
+          onChange={(e) => setJumpValue(e.target.value)}
+          className="w-20 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white/90 dark:bg-gray-800/90 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <button
+          type="submit"
+          disabled={disabled || !jumpValue}
+          className={`${pageButtonClassName} bg-primary-50 dark:bg-primary-900/40 text-primary-700 dark:text-primary-300 hover:bg-primary-100 dark:hover:bg-primary-900/60`}
+        >
+          Go
+        </button>
+      </form>
+    </nav>
+  );
+};
+
+export default Pagination;
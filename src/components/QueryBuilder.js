@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { QUERY_FIELDS, QUERY_OPERATORS, createClause, compileQuery, parseQuery } from '../advancedQuery';
+
+const inputClassName = 'px-3 py-2 border-2 border-gray-200 dark:border-gray-700 rounded-xl bg-white/80 dark:bg-gray-800/80 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-all duration-200';
+
+/**
+ * QueryBuilder component composes a multi-field boolean query and keeps it in sync
+ * with the compiled `q` string, which can also be edited directly
+ * @param {string} value - Compiled query string
+ * @param {Function} onChange - Function called with the new query string
+ */
+const QueryBuilder = ({ value, onChange }) => {
+  const [clauses, setClauses] = useState(() => parseQuery(value) || [createClause()]);
+  const [unparseable, setUnparseable] = useState(() => Boolean(value.trim()) && !parseQuery(value));
+  // The query string the clauses were last read from or compiled to
+  const compiledRef = useRef(value);
+
+  /**
+   * Re-read the query when it changes from outside the builder, e.g. on back/forward navigation
+   */
+  useEffect(() => {
+    if (value === compiledRef.current) return;
+    compiledRef.current = value;
+    const parsed = parseQuery(value);
+    if (parsed) {
+      setClauses(parsed);
+      setUnparseable(false);
+    } else {
+      setUnparseable(Boolean(value.trim()));
+    }
+  }, [value]);
+
+  const updateClauses = (nextClauses) => {
+    const compiled = compileQuery(nextClauses);
+    compiledRef.current = compiled;
+    setClauses(nextClauses);
+    setUnparseable(false);
+    onChange(compiled);
+  };
+
+  const updateClause = (id, changes) => {
+    updateClauses(clauses.map(clause => (clause.id === id ? { ...clause, ...changes } : clause)));
+  };
+
+  const removeClause = (id) => {
+    const remaining = clauses.filter(clause => clause.id !== id);
+    updateClauses(remaining.length > 0 ? remaining : [createClause()]);
+  };
+
+  return (
+    <div className="space-y-3">
+      {clauses.map((clause, index) => (
+        <div key={clause.id} className="flex flex-wrap items-center gap-2">
+          <select
+            value={clause.operator}
+            onChange={(e) => updateClause(clause.id, { operator: e.target.value })}
+            aria-label={`Operator for condition ${index + 1}`}
+            className={`${inputClassName} w-24`}
+          >
+            {/* OR has nothing to join to on the first condition */}
+            {QUERY_OPERATORS.filter(op => index > 0 || op !== 'OR').map(op => (
+              <option key={op} value={op}>{index === 0 && op === 'AND' ? 'Match' : op}</option>
+            ))}
+          </select>
+          <select
+            value={clause.field}
+            onChange={(e) => updateClause(clause.id, { field: e.target.value })}
+            aria-label={`Field for condition ${index + 1}`}
+            className={`${inputClassName} w-36`}
+          >
+            {QUERY_FIELDS.map(field => (
+              <option key={field.value} value={field.value}>{field.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={clause.value}
+            onChange={(e) => updateClause(clause.id, { value: e.target.value })}
+            placeholder="Search terms"
+            aria-label={`Terms for condition ${index + 1}`}
+            className={`${inputClassName} flex-1 min-w-[10rem]`}
+          />
+          <label className="inline-flex items-center space-x-1 text-sm text-gray-600 dark:text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={clause.exact}
+              onChange={(e) => updateClause(clause.id, { exact: e.target.checked })}
+              className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+            />
+            <span>Exact phrase</span>
+          </label>
+          <button
+            type="button"
+            onClick={() => removeClause(clause.id)}
+            className="w-8 h-8 rounded-full text-gray-500 dark:text-gray-400 hover:bg-red-50 dark:hover:bg-red-900/30 hover:text-red-600 transition-colors duration-200"
+            aria-label={`Remove condition ${index + 1}`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => updateClauses([...clauses, createClause()])}
+        className="text-primary-600 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm transition-colors duration-200"
+      >
+        + Add condition
+      </button>
+
+      <div>
+        <label htmlFor="compiledQuery" className="block text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1">
+          Query
+        </label>
+        <input
+          type="text"
+          id="compiledQuery"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${inputClassName} w-full font-mono text-sm`}
+        />
+        {unparseable && (
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            This query uses syntax the builder can't show, but it will still be searched as written.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QueryBuilder;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { READING_STATUSES, getReadingProgress } from '../readingStatus';
+
+/**
+ * Formats an ISO date string for display, e.g. "Mar 4, 2024"
+ * @param {string} isoDate - ISO date string
+ */
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * ReadingProgressControls component lets the user track status, pages and rating
+ * for a reading list entry. Rendered as an overlay at the bottom of a BookCard cover.
+ * @param {Object} entry - Reading list entry
+ * @param {Function} onUpdate - Function called with the changed fields
+ */
+const ReadingProgressControls = ({ entry, onUpdate }) => {
+  const progress = getReadingProgress(entry);
+
+  const handleNumberChange = (field) => (e) => {
+    const value = parseInt(e.target.value, 10);
+    onUpdate({ [field]: Number.isNaN(value) ? (field === 'pageCount' ? null : 0) : value });
+  };
+
+  return (
+    <div
+      className="absolute bottom-0 left-0 right-0 z-10 p-3 bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm border-t border-white/20 dark:border-gray-700/50 space-y-2"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <select
+        value={entry.status}
+        onChange={(e) => onUpdate({ status: e.target.value })}
+        className="w-full px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+        aria-label="Reading status"
+      >
+        {READING_STATUSES.map(status => (
+          <option key={status.value} value={status.value}>
+            {status.icon} {status.label}
+          </option>
+        ))}
+      </select>
+
+      {entry.status === 'reading' && (
+        <div className="flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-300">
+          <span>Page</span>
+          <input
+            type="number"
+            min="0"
+            max={entry.pageCount || undefined}
+            value={entry.currentPage}
+            onChange={handleNumberChange('currentPage')}
+            className="w-14 px-1 py-0.5 border border-gray-300 dark:border-gray-600 rounded focus:outline-none focus:ring-1 focus:ring-primary-500"
+            aria-label="Current page"
+          />
+          <span>of</span>
+          <input
+            type="number"
+            min="1"
+            value={entry.pageCount || ''}
+            onChange={handleNumberChange('pageCount')}
+            placeholder="?"
+            className="w-14 px-1 py-0.5 border border-gray-300 dark:border-gray-600 rounded focus:outline-none focus:ring-1 focus:ring-primary-500"
+            aria-label="Page count"
+          />
+        </div>
+      )}
+
+      {progress !== null && entry.status !== 'want-to-read' && (
+        <div className="w-full h-1.5 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden" title={`${progress}% read`}>
+          <div className="h-full bg-gradient-to-r from-primary-500 to-secondary-500" style={{ width: `${progress}%` }}></div>
+        </div>
+      )}
+
+      {entry.status === 'finished' && (
+        <div className="flex items-center justify-between">
+          <div className="flex" role="group" aria-label="Your rating">
+            {[1, 2, 3, 4, 5].map(star => (
+              <button
+                key={star}
+                type="button"
+                onClick={() => onUpdate({ rating: entry.rating === star ? null : star })}
+                className={`text-sm ${entry.rating >= star ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-400'}`}
+                aria-label={`Rate ${star} out of 5`}
+              >
+                ★
+              </button>
+            ))}
+          </div>
+          {entry.finishedDate && (
+            <span className="text-xs text-gray-500 dark:text-gray-400">{formatDate(entry.finishedDate)}</span>
+          )}
+        </div>
+      )}
+
+      {entry.status === 'reading' && entry.startedDate && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">Started {formatDate(entry.startedDate)}</p>
+      )}
+    </div>
+  );
+};
+
+export default ReadingProgressControls;
@@ -0,0 +1,43 @@
+import React from 'react';
+import BookCard from './BookCard';
+
+/**
+ * RecommendationsPanel component shows books recommended from the user's saved books,
+ * each with the reason it was picked
+ * @param {Array} recommendations - Ranked recommendations: { book, score, reason }
+ * @param {boolean} loading - Whether candidate searches are still loading
+ * @param {Object} cardProps - Props passed through to each BookCard (handlers, collections, readingList)
+ */
+const RecommendationsPanel = ({ recommendations, loading, cardProps }) => {
+  if (!loading && recommendations.length === 0) return null;
+
+  return (
+    <section className="mb-12 animate-fadeInUp" aria-labelledby="recommendationsHeading">
+      <div className="text-center mb-8">
+        <h2 id="recommendationsHeading" className="text-3xl font-display font-bold text-gray-800 dark:text-gray-100 mb-2">
+          ✨ Recommended for you
+        </h2>
+        <p className="text-gray-600 dark:text-gray-300">
+          Picked from the subjects, authors and eras of the books you've saved
+        </p>
+      </div>
+
+      {loading && recommendations.length === 0 ? (
+        <p className="text-center text-gray-600 dark:text-gray-300 animate-pulse-slow">Finding books you might like...</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-8">
+          {recommendations.map(({ book, reason }) => (
+            <div key={book.key || book.title}>
+              <p className="mb-2 text-sm text-primary-700 dark:text-primary-300 font-medium line-clamp-2" title={reason}>
+                💡 {reason}
+              </p>
+              <BookCard book={book} {...cardProps} />
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default RecommendationsPanel;
@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useDebouncedValue from '../useDebouncedValue';
+import { getRecentQueries } from '../recentQueries';
+import openLibrary from '../openLibrary';
+
+const MAX_REMOTE_SUGGESTIONS = 5;
+const MAX_RECENT_SUGGESTIONS = 4;
+
+/**
+ * Fetches title or author suggestions for a partial query from Open Library
+ * @param {string} query - Partial query typed so far
+ * @param {string} type - Search type ('title' or 'author')
+ * @param {AbortSignal} signal - Signal used to cancel the request
+ */
+const fetchSuggestions = async (query, type, signal) => {
+  const data = type === 'author'
+    ? await openLibrary.searchAuthors(query, { signal, limit: MAX_REMOTE_SUGGESTIONS })
+    : await openLibrary.searchBooks({ query, type: 'title', limit: MAX_REMOTE_SUGGESTIONS * 2, fields: 'title' }, { signal });
+
+  const values = (data.docs || []).map(doc => (type === 'author' ? doc.name : doc.title)).filter(Boolean);
+  return Array.from(new Set(values)).slice(0, MAX_REMOTE_SUGGESTIONS);
+};
+
+/**
+ * SearchAutocomplete component is the search query input with a suggestions dropdown
+ * drawing on recent queries plus Open Library title/author matches
+ * @param {string} id - Input id, used by the field label
+ * @param {string} value - Current query
+ * @param {string} searchType - Search type ('title', 'author', 'subject', 'isbn')
+ * @param {string} placeholder - Input placeholder text
+ * @param {string} className - Classes for the input element
+ * @param {Function} onChange - Function called with the new query as the user types
+ * @param {Function} onSelect - Function called with the chosen suggestion
+ */
+const SearchAutocomplete = ({ id, value, searchType, placeholder, className, onChange, onSelect }) => {
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [remoteSuggestions, setRemoteSuggestions] = useState([]);
+  const debouncedValue = useDebouncedValue(value, 250);
+  const containerRef = useRef(null);
+  const listboxId = `${id}-suggestions`;
+
+  /**
+   * Load title/author suggestions once typing pauses, cancelling stale requests
+   */
+  useEffect(() => {
+    const query = debouncedValue.trim();
+    if (searchType === 'subject' || searchType === 'isbn' || query.length < 2) {
+      setRemoteSuggestions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    fetchSuggestions(query, searchType, controller.signal)
+      .then(setRemoteSuggestions)
+      .catch((err) => {
+        if (err.name !== 'AbortError') setRemoteSuggestions([]);
+      });
+
+    return () => controller.abort();
+  }, [debouncedValue, searchType]);
+
+  /**
+   * Close the dropdown when clicking anywhere outside it
+   */
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const normalizedValue = value.trim().toLowerCase();
+  const recentSuggestions = getRecentQueries()
+    .filter(item => item.type === searchType && item.query.toLowerCase().includes(normalizedValue))
+    .filter(item => item.query.toLowerCase() !== normalizedValue)
+    .slice(0, MAX_RECENT_SUGGESTIONS)
+    .map(item => ({ value: item.query, source: 'recent' }));
+  const recentValues = new Set(recentSuggestions.map(item => item.value.toLowerCase()));
+  const suggestions = [
+    ...recentSuggestions,
+    ...remoteSuggestions
+      .filter(suggestion => !recentValues.has(suggestion.toLowerCase()))
+      .map(suggestion => ({ value: suggestion, source: searchType }))
+  ];
+  const showDropdown = open && suggestions.length > 0;
+
+  const selectSuggestion = (suggestion) => {
+    setOpen(false);
+    setActiveIndex(-1);
+    onSelect(suggestion.value);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(index => (suggestions.length === 0 ? -1 : (index + 1) % suggestions.length));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && showDropdown && activeIndex >= 0) {
+      // Choose the highlighted suggestion instead of submitting the typed text
+      e.preventDefault();
+      selectSuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Escape' && showDropdown) {
+      e.preventDefault();
+      setOpen(false);
+      setActiveIndex(-1);
+    } else if (e.key === 'Tab') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <input
+        type="text"
+        id={id}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className={className}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showDropdown}
+        aria-controls={listboxId}
+        aria-activedescendant={showDropdown && activeIndex >= 0 ? `${listboxId}-${activeIndex}` : undefined}
+        autoComplete="off"
+        required
+      />
+
+      {showDropdown && (
+        <ul
+          id={listboxId}
+          role="listbox"
+          className="absolute z-20 mt-2 w-full bg-white dark:bg-gray-800 rounded-xl shadow-large border border-gray-100 dark:border-gray-700 overflow-hidden"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.source}-${suggestion.value}`}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectSuggestion(suggestion)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-4 py-2 flex items-center space-x-3 cursor-pointer text-sm ${
+                index === activeIndex ? 'bg-primary-50 dark:bg-primary-900/40 text-primary-800 dark:text-primary-200' : 'text-gray-700 dark:text-gray-200'
+              }`}
+            >
+              <span aria-hidden="true">
+                {suggestion.source === 'recent' ? '🕘' : suggestion.source === 'author' ? '✍️' : '📖'}
+              </span>
+              <span className="truncate">{suggestion.value}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchAutocomplete;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { describeSearch } from '../searchHistory';
+
+const formatTime = (isoDate) => new Date(isoDate).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const linkButtonClassName = 'px-3 py-1 rounded-lg text-xs font-medium transition-colors duration-200';
+
+/**
+ * SearchHistoryPanel component lists saved searches and recently executed searches,
+ * with one-click re-run and pinning a history entry as a named saved search
+ * @param {Array} history - Executed searches, newest first
+ * @param {Array} savedSearches - Named saved searches
+ * @param {Function} onRun - Function called with the search to re-run
+ * @param {Function} onSave - Function called with (search, name) to pin a search
+ * @param {Function} onRemoveSaved - Function called with a saved search id to delete it
+ * @param {Function} onClearHistory - Function called to clear the history
+ */
+const SearchHistoryPanel = ({ history, savedSearches, onRun, onSave, onRemoveSaved, onClearHistory }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [pinningId, setPinningId] = useState(null);
+  const [pinName, setPinName] = useState('');
+
+  const startPinning = (entry) => {
+    setPinningId(entry.id);
+    setPinName(entry.query);
+  };
+
+  const handlePin = (e, entry) => {
+    e.preventDefault();
+    onSave(entry, pinName);
+    setPinningId(null);
+  };
+
+  if (history.length === 0 && savedSearches.length === 0) return null;
+
+  return (
+    <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        className="text-lg font-semibold text-gray-700 dark:text-gray-200 hover:text-primary-600 transition-colors duration-200"
+      >
+        🕘 History & Saved Searches ({savedSearches.length} saved) {expanded ? '▴' : '▾'}
+      </button>
+
+      {expanded && (
+        <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Saved Searches */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-300 mb-2">📌 Saved searches</h4>
+            {savedSearches.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Pin a search from your history to save it.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 dark:divide-gray-700 bg-white/90 dark:bg-gray-800/90 rounded-xl border border-gray-100 dark:border-gray-700">
+                {savedSearches.map(saved => (
+                  <li key={saved.id} className="flex items-center justify-between gap-3 px-4 py-3">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-800 dark:text-gray-100 truncate">
+                        {saved.name}
+                        {saved.newCount > 0 && (
+                          <span className="ml-2 px-2 py-0.5 bg-accent-50 dark:bg-accent-900/40 text-accent-700 dark:text-accent-300 rounded-full text-xs font-semibold">
+                            🆕 {saved.newCount} new
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                        "{saved.query}" • {describeSearch(saved)}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {saved.lastRunAt
+                          ? `${saved.numFound.toLocaleString()} results • last run ${formatTime(saved.lastRunAt)}`
+                          : 'Not run yet'}
+                      </p>
+                    </div>
+                    <div className="flex flex-shrink-0 gap-2">
+                      <button
+                        type="button"
+                        onClick={() => onRun(saved)}
+                        className={`${linkButtonClassName} bg-primary-50 dark:bg-primary-900/40 text-primary-700 dark:text-primary-300 hover:bg-primary-100 dark:hover:bg-primary-900/60`}
+                      >
+                        ▶ Run
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onRemoveSaved(saved.id)}
+                        aria-label={`Delete saved search ${saved.name}`}
+                        className={`${linkButtonClassName} text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/30`}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* History */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-semibold text-gray-600 dark:text-gray-300">🕘 Recent searches</h4>
+              {history.length > 0 && (
+                <button
+                  type="button"
+                  onClick={onClearHistory}
+                  className="text-xs text-gray-500 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-100"
+                >
+                  Clear history
+                </button>
+              )}
+            </div>
+            <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700 bg-white/90 dark:bg-gray-800/90 rounded-xl border border-gray-100 dark:border-gray-700">
+              {history.map(entry => (
+                <li key={entry.id} className="px-4 py-3">
+                  {pinningId === entry.id ? (
+                    <form onSubmit={(e) => handlePin(e, entry)} className="flex items-center gap-2">
+                      <label htmlFor={`pin-${entry.id}`} className="sr-only">Saved search name</label>
+                      <input
+                        id={`pin-${entry.id}`}
+                        type="text"
+                        value={pinName}
+                        onChange={(e) => setPinName(e.target.value)}
+                        autoFocus
+                        className="flex-1 min-w-0 px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-lg text-sm bg-white/90 dark:bg-gray-800/90 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                      <button
+                        type="submit"
+                        className={`${linkButtonClassName} bg-primary-600 text-white hover:bg-primary-700`}
+                      >
+                        Save
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setPinningId(null)}
+                        className={`${linkButtonClassName} text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700`}
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <div className="flex items-center justify-between gap-3">
+                      <button
+                        type="button"
+                        onClick={() => onRun(entry)}
+                        className="min-w-0 text-left group"
+                        title="Run this search again"
+                      >
+                        <span className="block font-medium text-gray-800 dark:text-gray-100 truncate group-hover:text-primary-600">"{entry.query}"</span>
+                        <span className="block text-xs text-gray-500 dark:text-gray-400 truncate">
+                          {describeSearch(entry)} • {entry.numFound.toLocaleString()} results • {formatTime(entry.executedAt)}
+                        </span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => startPinning(entry)}
+                        aria-label={`Save search for ${entry.query}`}
+                        title="Save this search"
+                        className={`${linkButtonClassName} flex-shrink-0 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700`}
+                      >
+                        📌 Save
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchHistoryPanel;
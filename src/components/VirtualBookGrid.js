@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+// Matches the grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 breakpoints
+const BREAKPOINTS = [
+  { minWidth: 1280, columns: 4 },
+  { minWidth: 1024, columns: 3 },
+  { minWidth: 640, columns: 2 }
+];
+const GRID_CLASSES = { 1: 'grid-cols-1', 2: 'grid-cols-2', 3: 'grid-cols-3', 4: 'grid-cols-4' };
+
+// Card height plus the gap below it, used until a row has been measured
+const ESTIMATED_ROW_HEIGHT = 560;
+// Rows kept mounted above and below the viewport
+const OVERSCAN_ROWS = 2;
+
+// Measured row heights, keyed by column count and the row's first item. Kept at module
+// level so a grid that remounts (e.g. returning from another view) restores its exact height.
+// Maps keep insertion order, so the least recently measured rows are dropped first.
+const rowHeightCache = new Map();
+const MAX_CACHED_ROWS = 500;
+
+const cacheRowHeight = (cacheKey, height) => {
+  rowHeightCache.delete(cacheKey);
+  rowHeightCache.set(cacheKey, height);
+  if (rowHeightCache.size > MAX_CACHED_ROWS) {
+    rowHeightCache.delete(rowHeightCache.keys().next().value);
+  }
+};
+
+// Wrapper classes for a grid item; the focus ring shows which card the arrow keys are on
+const ITEM_CLASSES = 'rounded-2xl focus:outline-none focus-visible:ring-4 focus-visible:ring-primary-500 focus-visible:ring-offset-2 dark:focus-visible:ring-offset-gray-900';
+
+const getColumnCount = () => {
+  const breakpoint = BREAKPOINTS.find(bp => window.innerWidth >= bp.minWidth);
+  return breakpoint ? breakpoint.columns : 1;
+};
+
+/**
+ * Reports its child row's rendered height whenever it changes
+ */
+const MeasuredRow = ({ cacheKey, onMeasure, children }) => {
+  const rowRef = useRef(null);
+
+  useLayoutEffect(() => {
+    const element = rowRef.current;
+    const measure = () => onMeasure(cacheKey, element.getBoundingClientRect().height);
+    measure();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [cacheKey, onMeasure]);
+
+  return <div ref={rowRef}>{children}</div>;
+};
+
+/**
+ * VirtualBookGrid component renders a responsive card grid, mounting only the rows
+ * near the viewport and standing in for the rest with spacers of the same height.
+ * Items take a roving tab stop: arrow keys, Home and End move between them, scrolling
+ * unmounted rows into view, and Enter opens the focused item.
+ * @param {Array} items - Items to render
+ * @param {Function} getKey - Function returning a stable key for an item, called with (item, index)
+ * @param {Function} renderItem - Function rendering one item
+ * @param {string} label - Accessible name of the grid
+ */
+const VirtualBookGrid = ({ items, getKey, renderItem, label }) => {
+  const containerRef = useRef(null);
+  const [columns, setColumns] = useState(getColumnCount);
+  const [viewport, setViewport] = useState({ offset: 0, height: window.innerHeight });
+  const [, setMeasureVersion] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(0);
+  // Item to focus once its row has been mounted
+  const pendingFocusRef = useRef(null);
+
+  const findItem = (index) => containerRef.current
+    && containerRef.current.querySelector(`[data-grid-index="${index}"]`);
+
+  /**
+   * Focus an item that was scrolled to before its row was mounted
+   */
+  useEffect(() => {
+    if (pendingFocusRef.current === null) return;
+    const element = findItem(pendingFocusRef.current);
+    if (element) {
+      pendingFocusRef.current = null;
+      element.focus();
+    }
+  });
+
+  /**
+   * Track the viewport relative to the grid, at most once per animation frame
+   */
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (!containerRef.current) return;
+      setColumns(getColumnCount());
+      setViewport({
+        offset: -containerRef.current.getBoundingClientRect().top,
+        height: window.innerHeight
+      });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  const handleMeasure = useCallback((cacheKey, height) => {
+    if (height > 0 && rowHeightCache.get(cacheKey) !== height) {
+      cacheRowHeight(cacheKey, height);
+      setMeasureVersion(version => version + 1);
+    }
+  }, []);
+
+  const rowCount = Math.ceil(items.length / columns);
+  const rowKeys = [];
+  const rowOffsets = [];
+  let totalHeight = 0;
+  for (let row = 0; row < rowCount; row++) {
+    const key = `${columns}:${getKey(items[row * columns], row * columns)}`;
+    rowKeys.push(key);
+    rowOffsets.push(totalHeight);
+    totalHeight += rowHeightCache.get(key) || ESTIMATED_ROW_HEIGHT;
+  }
+
+  // First and last rows that overlap the viewport, widened by the overscan
+  let firstRow = rowOffsets.findIndex((offset, row) => offset + (rowHeightCache.get(rowKeys[row]) || ESTIMATED_ROW_HEIGHT) > viewport.offset);
+  if (firstRow === -1) firstRow = Math.max(0, rowCount - 1);
+  let lastRow = firstRow;
+  while (lastRow < rowCount - 1 && rowOffsets[lastRow + 1] < viewport.offset + viewport.height) lastRow++;
+  firstRow = Math.max(0, firstRow - OVERSCAN_ROWS);
+  lastRow = Math.min(rowCount - 1, lastRow + OVERSCAN_ROWS);
+
+  // Keep the tab stop on an existing item when the list shrinks, and on a mounted one
+  // when the active item has scrolled out of the rendered rows, so Tab can still enter the grid
+  const firstMounted = firstRow * columns;
+  const lastMounted = Math.min(items.length, (lastRow + 1) * columns) - 1;
+  const activeItem = Math.min(activeIndex, Math.max(0, items.length - 1));
+  const tabIndex = activeItem >= firstMounted && activeItem <= lastMounted ? activeItem : firstMounted;
+
+  const moveFocus = (index) => {
+    setActiveIndex(index);
+    const element = findItem(index);
+    if (element) {
+      element.focus();
+      return;
+    }
+    // The row isn't mounted: scroll to it and focus it once it renders
+    pendingFocusRef.current = index;
+    const top = window.scrollY + containerRef.current.getBoundingClientRect().top;
+    window.scrollTo({ top: top + rowOffsets[Math.floor(index / columns)] });
+  };
+
+  const handleKeyDown = (e) => {
+    // Only handle keys pressed on an item itself, not on the controls inside it
+    const index = Number(e.target.dataset.gridIndex);
+    if (Number.isNaN(index)) return;
+
+    if (e.key === 'Enter') {
+      const primary = e.target.querySelector('[data-card-primary]');
+      if (primary) {
+        e.preventDefault();
+        primary.click();
+      }
+      return;
+    }
+
+    const targets = {
+      ArrowRight: index + 1,
+      ArrowLeft: index - 1,
+      ArrowDown: index + columns,
+      ArrowUp: index - columns,
+      Home: 0,
+      End: items.length - 1
+    };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    const next = targets[e.key];
+    if (next >= 0 && next < items.length && next !== index) moveFocus(next);
+  };
+
+  // Focus moving into an item (or a control inside it) makes it the tab stop
+  const handleFocus = (e) => {
+    const item = e.target.closest('[data-grid-index]');
+    if (item) setActiveIndex(Number(item.dataset.gridIndex));
+  };
+
+  const topSpacer = rowCount > 0 ? rowOffsets[firstRow] : 0;
+  const bottomSpacer = rowCount > 0 ? totalHeight - (rowOffsets[lastRow] + (rowHeightCache.get(rowKeys[lastRow]) || ESTIMATED_ROW_HEIGHT)) : 0;
+
+  const rows = [];
+  for (let row = firstRow; row <= lastRow && row < rowCount; row++) {
+    const rowItems = items.slice(row * columns, (row + 1) * columns);
+    rows.push(
+      <MeasuredRow key={rowKeys[row]} cacheKey={rowKeys[row]} onMeasure={handleMeasure}>
+        <div className={`grid ${GRID_CLASSES[columns]} gap-8 pb-8`}>
+          {rowItems.map((item, index) => {
+            const itemIndex = row * columns + index;
+            return (
+              <div
+                key={getKey(item, itemIndex)}
+                role="listitem"
+                aria-posinset={itemIndex + 1}
+                aria-setsize={items.length}
+                data-grid-index={itemIndex}
+                tabIndex={itemIndex === tabIndex ? 0 : -1}
+                className={ITEM_CLASSES}
+              >
+                {renderItem(item, itemIndex)}
+              </div>
+            );
+          })}
+        </div>
+      </MeasuredRow>
+    );
+  }
+
+  return (
+    <div ref={containerRef} role="list" aria-label={label} onKeyDown={handleKeyDown} onFocus={handleFocus}>
+      <div style={{ height: topSpacer }} aria-hidden="true" />
+      {rows}
+      <div style={{ height: Math.max(0, bottomSpacer) }} aria-hidden="true" />
+    </div>
+  );
+};
+
+export default VirtualBookGrid;
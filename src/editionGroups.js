@@ -0,0 +1,86 @@
+/**
+ * Grouping of near-duplicate search docs (reprints, omnibus entries, works whose
+ * key differs but whose title and author match) under one representative book
+ */
+
+// Leading articles and trailing edition notes don't distinguish works. Subtitles do:
+// "Calculus: Early Transcendentals" and "Calculus: Single Variable" are different books.
+const LEADING_ARTICLE = /^(the|a|an)\s+/;
+// A trailing "(...)", "[...]" or ": ...", "; ...", " - ..." segment of a title
+const TRAILING_SEGMENT = /\s*(?:[([]([^()[\]]*)[)\]]|(?:[:;]|\s-)\s*([^:;()[\]]*))\s*$/;
+const EDITION_MARKER = /\b(?:editions?|ed|reprint|revised|anniversary|illustrated|unabridged|abridged|annotated|classics?|deluxe|paperback|hardcover)\b/;
+const ORDINAL_EDITION = /\s+\d+(?:st|nd|rd|th)\s+(?:edition|ed\.?)$/;
+
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, 'and');
+
+/**
+ * Strips trailing segments that only describe the edition, e.g. "(Penguin Classics)",
+ * ": 25th Anniversary Edition" or " 2nd ed."
+ * @param {string} title - Lowercased title
+ */
+const stripEditionDetails = (title) => {
+  let current = title.replace(ORDINAL_EDITION, '');
+  let match = current.match(TRAILING_SEGMENT);
+  while (match && EDITION_MARKER.test(match[1] || match[2] || '')) {
+    current = current.slice(0, match.index).replace(ORDINAL_EDITION, '');
+    match = current.match(TRAILING_SEGMENT);
+  }
+  return current;
+};
+
+/**
+ * Normalizes a title for grouping, e.g. "The Hobbit (Illustrated Edition)" -> "hobbit"
+ * @param {string} title - Book title
+ */
+export const normalizeTitle = (title) => stripEditionDetails(normalize(title))
+  .replace(/[^a-z0-9\s]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(LEADING_ARTICLE, '');
+
+/**
+ * Normalizes an author name so "J. K. Rowling" and "J.K. Rowling" match
+ * @param {string} name - Author name
+ */
+const normalizeAuthor = (name) => normalize(name).replace(/[^a-z0-9]/g, '');
+
+/**
+ * Key shared by every doc in a group: normalized title plus primary author
+ * @param {Object} book - Search doc
+ */
+export const getGroupKey = (book) => (
+  `${normalizeTitle(book.title)}|${normalizeAuthor((book.author_name || [])[0])}`
+);
+
+/**
+ * Groups docs by title and primary author, keeping the order groups first appear in.
+ * Each group's representative is the member with the most editions.
+ * @param {Array} books - Search docs
+ * @returns {Array<{ key: string, book: Object, members: Array }>}
+ */
+export const groupBooks = (books) => {
+  const groups = new Map();
+  books.forEach(book => {
+    const key = getGroupKey(book);
+    if (!groups.has(key)) groups.set(key, { key, book, members: [] });
+    const group = groups.get(key);
+    group.members.push(book);
+    if ((book.edition_count || 0) > (group.book.edition_count || 0)) group.book = book;
+  });
+  return Array.from(groups.values());
+};
+
+/**
+ * Drops incoming docs that are already loaded, which happens when results shift
+ * between page requests
+ * @param {Array} existing - Docs already shown
+ * @param {Array} incoming - Newly fetched docs
+ */
+export const withoutLoaded = (existing, incoming) => {
+  const loaded = new Set(existing.map(book => book.key || book.title));
+  return incoming.filter(book => !loaded.has(book.key || book.title));
+};
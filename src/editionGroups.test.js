@@ -0,0 +1,56 @@
+import { normalizeTitle, getGroupKey, groupBooks, withoutLoaded } from './editionGroups';
+
+describe('normalizeTitle', () => {
+  it('drops leading articles, accents, punctuation and case', () => {
+    expect(normalizeTitle('The Count of Monte-Cristo')).toBe('count of montecristo');
+    expect(normalizeTitle('Les Misérables')).toBe('les miserables');
+    expect(normalizeTitle('Pride & Prejudice')).toBe('pride and prejudice');
+  });
+
+  it('strips trailing edition notes', () => {
+    expect(normalizeTitle('Pride and Prejudice (Penguin Classics)')).toBe('pride and prejudice');
+    expect(normalizeTitle('Dune: Deluxe Edition')).toBe('dune');
+    expect(normalizeTitle('Dune - 50th Anniversary Edition [Illustrated]')).toBe('dune');
+    expect(normalizeTitle('Calculus 2nd Edition')).toBe('calculus');
+  });
+
+  it('keeps subtitles and volume numbers, which name different works', () => {
+    expect(normalizeTitle('Calculus: Early Transcendentals')).toBe('calculus early transcendentals');
+    expect(normalizeTitle('Calculus: Single Variable')).toBe('calculus single variable');
+    expect(normalizeTitle('Foundation (Book 2)')).toBe('foundation book 2');
+  });
+});
+
+describe('groupBooks', () => {
+  const book = (key, title, author, editions = 1) => ({ key, title, author_name: [author], edition_count: editions });
+
+  it('groups reprints of the same title and author under the book with most editions', () => {
+    const reprint = book('/works/OL2W', 'The Hobbit (Illustrated Edition)', 'J.R.R. Tolkien');
+    const hobbit = book('/works/OL1W', 'The Hobbit', 'J. R. R. Tolkien', 120);
+    const groups = groupBooks([reprint, hobbit]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].book).toBe(hobbit);
+    expect(groups[0].members).toEqual([reprint, hobbit]);
+    expect(groups[0].key).toBe(getGroupKey(hobbit));
+  });
+
+  it('keeps different works that share a main title apart', () => {
+    const books = [
+      book('/works/OL3W', 'Calculus: Early Transcendentals', 'James Stewart'),
+      book('/works/OL4W', 'Calculus: Single Variable', 'James Stewart'),
+      book('/works/OL5W', 'Calculus: Early Transcendentals', 'Howard Anton')
+    ];
+
+    expect(groupBooks(books).map(group => group.book)).toEqual(books);
+  });
+});
+
+describe('withoutLoaded', () => {
+  it('drops docs that are already shown', () => {
+    const shown = [{ key: '/works/OL1W' }, { title: 'Untitled' }];
+    const incoming = [{ key: '/works/OL1W' }, { key: '/works/OL2W' }, { title: 'Untitled' }];
+
+    expect(withoutLoaded(shown, incoming)).toEqual([{ key: '/works/OL2W' }]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Facet counts built from the search docs currently loaded
+ */
+
+const MAX_FACET_VALUES = 8;
+
+/**
+ * Facet groups in display order. `field` is the search doc field the values come
+ * from; selecting a value sets the matching key in the filters state.
+ */
+export const FACET_GROUPS = [
+  { name: 'subject', label: 'Subject', field: 'subject' },
+  { name: 'language', label: 'Language', field: 'language' },
+  { name: 'author', label: 'Author', field: 'author_name' },
+  { name: 'publisher', label: 'Publisher', field: 'publisher' },
+  { name: 'decade', label: 'First Published', field: 'first_publish_year' }
+];
+
+const countValues = (docs, getValues) => {
+  const counts = new Map();
+  docs.forEach(doc => {
+    // Count each value once per doc so long subject lists don't skew the totals
+    new Set(getValues(doc)).forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return counts;
+};
+
+const topValues = (counts) => Array.from(counts, ([value, count]) => ({ value, count }))
+  .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+  .slice(0, MAX_FACET_VALUES);
+
+/**
+ * Builds facet values with counts for each facet group
+ * @param {Array} docs - Search result docs
+ * @returns {Object} Facet values keyed by group name, each an array of { value, count }
+ */
+export const buildFacets = (docs) => {
+  const facets = {};
+
+  FACET_GROUPS.forEach(group => {
+    if (group.name === 'decade') {
+      const counts = countValues(docs, doc => (
+        doc.first_publish_year ? [Math.floor(doc.first_publish_year / 10) * 10] : []
+      ));
+      // Decades read best in chronological order
+      facets.decade = topValues(counts).sort((a, b) => a.value - b.value);
+      return;
+    }
+
+    facets[group.name] = topValues(countValues(docs, doc => doc[group.field] || []));
+  });
+
+  return facets;
+};
+
+/**
+ * Converts a selected facet value into the filter fields it sets
+ * @param {string} groupName - Facet group name
+ * @param {string|number} value - Selected facet value
+ */
+export const facetToFilters = (groupName, value) => {
+  if (groupName === 'decade') {
+    return { yearFrom: String(value), yearTo: String(value + 9) };
+  }
+  return { [groupName]: String(value) };
+};
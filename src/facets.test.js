@@ -0,0 +1,57 @@
+import { buildFacets, facetToFilters } from './facets';
+
+const docs = [
+  { subject: ['Fiction', 'Science fiction', 'Fiction'], language: ['eng'], author_name: ['Frank Herbert'], first_publish_year: 1965 },
+  { subject: ['Science fiction'], language: ['eng', 'fre'], author_name: ['Frank Herbert'], publisher: ['Ace'], first_publish_year: 1969 },
+  { subject: ['Fiction'], language: ['ger'], author_name: ['Ursula K. Le Guin'], first_publish_year: 1974 },
+  { title: 'No details' }
+];
+
+describe('buildFacets', () => {
+  const facets = buildFacets(docs);
+
+  it('counts each value once per doc, most common first', () => {
+    expect(facets.subject).toEqual([
+      { value: 'Fiction', count: 2 },
+      { value: 'Science fiction', count: 2 }
+    ]);
+    expect(facets.author).toEqual([
+      { value: 'Frank Herbert', count: 2 },
+      { value: 'Ursula K. Le Guin', count: 1 }
+    ]);
+  });
+
+  it('breaks ties alphabetically', () => {
+    expect(facets.language.map(facet => facet.value)).toEqual(['eng', 'fre', 'ger']);
+  });
+
+  it('groups publish years into decades in chronological order', () => {
+    expect(facets.decade).toEqual([
+      { value: 1960, count: 2 },
+      { value: 1970, count: 1 }
+    ]);
+  });
+
+  it('keeps the eight most common values', () => {
+    const many = Array.from({ length: 10 }, (_, i) => ({ publisher: [`Publisher ${i}`, ...(i < 2 ? ['Common'] : [])] }));
+
+    const publishers = buildFacets(many).publisher;
+
+    expect(publishers).toHaveLength(8);
+    expect(publishers[0]).toEqual({ value: 'Common', count: 2 });
+  });
+
+  it('returns empty groups without docs', () => {
+    expect(buildFacets([])).toEqual({ subject: [], language: [], author: [], publisher: [], decade: [] });
+  });
+});
+
+describe('facetToFilters', () => {
+  it('turns a decade into a year range', () => {
+    expect(facetToFilters('decade', 1960)).toEqual({ yearFrom: '1960', yearTo: '1969' });
+  });
+
+  it('sets the filter named after the group', () => {
+    expect(facetToFilters('language', 'eng')).toEqual({ language: 'eng' });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * ISBN validation and conversion, and resolving an ISBN to the exact edition
+ * through Open Library's /isbn/{isbn}.json endpoint
+ */
+
+import openLibrary from './openLibrary';
+
+/**
+ * Strips hyphens and spaces, e.g. "978-0-451-52493-5" -> "9780451524935"
+ * @param {string} value - ISBN as typed or scanned
+ */
+export const normalizeIsbn = (value) => String(value).replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Whether a normalized ISBN-10 has a valid checksum (the last digit may be X)
+ * @param {string} isbn - Normalized ISBN
+ */
+export const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((total, char, index) => (
+    total + (char === 'X' ? 10 : Number(char)) * (10 - index)
+  ), 0);
+  return sum % 11 === 0;
+};
+
+/**
+ * Whether a normalized ISBN-13 has a valid checksum
+ * @param {string} isbn - Normalized ISBN
+ */
+export const isValidIsbn13 = (isbn) => {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return sum % 10 === 0;
+};
+
+/**
+ * Whether a value is a valid ISBN-10 or ISBN-13, ignoring hyphens and spaces
+ * @param {string} value - ISBN to check
+ */
+export const isValidIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+/**
+ * Converts a valid ISBN-10 to ISBN-13
+ * @param {string} isbn10 - Normalized ISBN-10
+ */
+export const isbn10To13 = (isbn10) => {
+  const body = `978${isbn10.slice(0, 9)}`;
+  const sum = body.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${body}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Converts a valid ISBN-13 to ISBN-10. Only 978-prefixed ISBNs have an ISBN-10 form.
+ * @param {string} isbn13 - Normalized ISBN-13
+ * @returns {string|null} The ISBN-10, or null for 979 ISBNs
+ */
+export const isbn13To10 = (isbn13) => {
+  if (!isbn13.startsWith('978')) return null;
+  const body = isbn13.slice(3, 12);
+  const sum = body.split('').reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return `${body}${check === 10 ? 'X' : check}`;
+};
+
+/**
+ * Describes a typed ISBN: whether it's valid, and both of its forms
+ * @param {string} value - ISBN as typed
+ * @returns {{ valid: boolean, isbn10: string|null, isbn13: string|null }}
+ */
+export const parseIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (isValidIsbn10(isbn)) return { valid: true, isbn10: isbn, isbn13: isbn10To13(isbn) };
+  if (isValidIsbn13(isbn)) return { valid: true, isbn10: isbn13To10(isbn), isbn13: isbn };
+  return { valid: false, isbn10: null, isbn13: null };
+};
+
+/**
+ * Resolves an ISBN to its edition and returns it in the search doc shape BookCard
+ * expects, so publisher and ISBN reflect that exact edition
+ * @param {string} value - Valid ISBN-10 or ISBN-13
+ * @param {Object} options - { signal }
+ */
+export const lookupIsbn = async (value, { signal } = {}) => {
+  const { isbn10, isbn13 } = parseIsbn(value);
+  const edition = await openLibrary.getEditionByIsbn(isbn13 || isbn10, { signal });
+
+  // Edition records only carry author keys, so fetch the names
+  const authorKeys = (edition.authors || []).map(author => author.key.split('/').pop());
+  const authors = await Promise.all(authorKeys.map(key => (
+    openLibrary.getAuthor(key, { signal }).catch((err) => {
+      if (err.name === 'AbortError') throw err;
+      return null;
+    })
+  )));
+  const yearMatch = (edition.publish_date || '').match(/\d{4}/);
+  const workKey = edition.works && edition.works[0] && edition.works[0].key;
+
+  return {
+    key: workKey || edition.key,
+    edition_key: [edition.key.split('/').pop()],
+    title: edition.subtitle ? `${edition.title}: ${edition.subtitle}` : edition.title,
+    author_name: authors.filter(Boolean).map(author => author.name),
+    author_key: authorKeys.filter((key, index) => authors[index]),
+    cover_i: (edition.covers || []).find(id => id > 0),
+    first_publish_year: yearMatch ? parseInt(yearMatch[0], 10) : undefined,
+    publisher: edition.publishers,
+    isbn: [isbn13, isbn10].filter(Boolean)
+  };
+};
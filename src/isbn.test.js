@@ -0,0 +1,92 @@
+import openLibrary from './openLibrary';
+import {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidIsbn,
+  isbn10To13,
+  isbn13To10,
+  parseIsbn,
+  lookupIsbn
+} from './isbn';
+
+describe('checksums', () => {
+  it('validates ISBN-10 check digits, including X', () => {
+    expect(isValidIsbn10('0306406152')).toBe(true);
+    expect(isValidIsbn10('080442957X')).toBe(true);
+    expect(isValidIsbn10('0306406153')).toBe(false);
+    expect(isValidIsbn10('030640615')).toBe(false);
+    expect(isValidIsbn10('X306406152')).toBe(false);
+  });
+
+  it('validates ISBN-13 check digits and prefixes', () => {
+    expect(isValidIsbn13('9780306406157')).toBe(true);
+    expect(isValidIsbn13('9791032305690')).toBe(true);
+    expect(isValidIsbn13('9780306406158')).toBe(false);
+    // Right checksum, but not a Bookland prefix
+    expect(isValidIsbn13('9770306406150')).toBe(false);
+  });
+
+  it('ignores hyphens, spaces and a lowercase x', () => {
+    expect(normalizeIsbn('978-0 306-40615-7')).toBe('9780306406157');
+    expect(isValidIsbn('0-8044-2957-x')).toBe(true);
+    expect(isValidIsbn('not an isbn')).toBe(false);
+  });
+});
+
+describe('conversion', () => {
+  it('converts between ISBN-10 and ISBN-13', () => {
+    expect(isbn10To13('0306406152')).toBe('9780306406157');
+    expect(isbn13To10('9780306406157')).toBe('0306406152');
+    expect(isbn10To13('080442957X')).toBe('9780804429573');
+    expect(isbn13To10('9780804429573')).toBe('080442957X');
+  });
+
+  it('has no ISBN-10 form for 979 ISBNs', () => {
+    expect(isbn13To10('9791032305690')).toBeNull();
+  });
+
+  it('describes both forms of a typed ISBN', () => {
+    expect(parseIsbn('0-306-40615-2')).toEqual({ valid: true, isbn10: '0306406152', isbn13: '9780306406157' });
+    expect(parseIsbn('979-10-323-0569-0')).toEqual({ valid: true, isbn10: null, isbn13: '9791032305690' });
+    expect(parseIsbn('12345')).toEqual({ valid: false, isbn10: null, isbn13: null });
+  });
+});
+
+describe('lookupIsbn', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the edition as a search doc with its authors and both ISBNs', async () => {
+    const getEditionByIsbn = jest.spyOn(openLibrary, 'getEditionByIsbn').mockResolvedValue({
+      key: '/books/OL7353617M',
+      title: 'Fantastic Mr. Fox',
+      subtitle: 'A Story',
+      authors: [{ key: '/authors/OL34184A' }, { key: '/authors/OL0A' }],
+      works: [{ key: '/works/OL45804W' }],
+      covers: [-1, 8739161],
+      publish_date: 'October 1, 1988',
+      publishers: ['Puffin']
+    });
+    jest.spyOn(openLibrary, 'getAuthor').mockImplementation(async (key) => {
+      if (key === 'OL34184A') return { name: 'Roald Dahl' };
+      throw new Error('Not found');
+    });
+
+    const book = await lookupIsbn('0-14-032872-6');
+
+    expect(getEditionByIsbn).toHaveBeenCalledWith('9780140328721', { signal: undefined });
+    expect(book).toEqual({
+      key: '/works/OL45804W',
+      edition_key: ['OL7353617M'],
+      title: 'Fantastic Mr. Fox: A Story',
+      author_name: ['Roald Dahl'],
+      author_key: ['OL34184A'],
+      cover_i: 8739161,
+      first_publish_year: 1988,
+      publisher: ['Puffin'],
+      isbn: ['9780140328721', '0140328726']
+    });
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Import and export of saved book lists as JSON, plain CSV and
+ * Goodreads library export CSV
+ */
+
+export const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { value: 'goodreads', label: 'Goodreads CSV', extension: 'csv', mimeType: 'text/csv' }
+];
+
+const CSV_COLUMNS = ['key', 'title', 'author_name', 'first_publish_year', 'addedDate'];
+
+// Column layout of the Goodreads "Export Library" file
+const GOODREADS_COLUMNS = [
+  'Book Id', 'Title', 'Author', 'Author l-f', 'Additional Authors', 'ISBN', 'ISBN13',
+  'My Rating', 'Average Rating', 'Publisher', 'Binding', 'Number of Pages', 'Year Published',
+  'Original Publication Year', 'Date Read', 'Date Added', 'Bookshelves',
+  'Bookshelves with positions', 'Exclusive Shelf', 'My Review', 'Spoiler', 'Private Notes',
+  'Read Count', 'Owned Copies'
+];
+
+// Reading list status <-> Goodreads exclusive shelf
+const STATUS_TO_SHELF = {
+  'want-to-read': 'to-read',
+  reading: 'currently-reading',
+  finished: 'read',
+  abandoned: 'to-read'
+};
+const SHELF_TO_STATUS = {
+  'to-read': 'want-to-read',
+  'currently-reading': 'reading',
+  read: 'finished'
+};
+
+const getBookId = (book) => book.key || book.title;
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [
+  columns.map(escapeCsvValue).join(','),
+  ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','))
+].join('\r\n');
+
+/**
+ * Parses CSV text (RFC 4180 quoting) into an array of objects keyed by header
+ * @param {string} text - CSV file contents
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  const columns = header.map(column => column.replace(/^\uFEFF/, '').trim());
+  return body.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] || ''])));
+};
+
+// Goodreads wraps ISBNs as ="0123456789" so spreadsheets keep leading zeros
+const unwrapGoodreadsIsbn = (value) => (value || '').replace(/^="?|"$/g, '').trim();
+
+const formatGoodreadsDate = (isoDate) => (isoDate ? isoDate.slice(0, 10).replace(/-/g, '/') : '');
+
+const parseGoodreadsDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value.replace(/\//g, '-'));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const toGoodreadsRow = (book) => {
+  const [author = '', ...additionalAuthors] = book.author_name || [];
+  const nameParts = author.split(' ');
+  const lastFirst = nameParts.length > 1
+    ? `${nameParts[nameParts.length - 1]}, ${nameParts.slice(0, -1).join(' ')}`
+    : author;
+  const isbns = book.isbn || [];
+  const isbn10 = isbns.find(isbn => isbn.length === 10) || '';
+  const isbn13 = isbns.find(isbn => isbn.length === 13) || '';
+  const shelf = STATUS_TO_SHELF[book.status] || 'to-read';
+
+  return {
+    Title: book.title,
+    Author: author,
+    'Author l-f': lastFirst,
+    'Additional Authors': additionalAuthors.join(', '),
+    ISBN: `="${isbn10}"`,
+    ISBN13: `="${isbn13}"`,
+    'My Rating': book.rating || 0,
+    Publisher: (book.publisher || [])[0] || '',
+    'Number of Pages': book.pageCount || book.number_of_pages_median || '',
+    'Original Publication Year': book.first_publish_year || '',
+    'Date Read': formatGoodreadsDate(book.finishedDate),
+    'Date Added': formatGoodreadsDate(book.addedDate),
+    Bookshelves: shelf === 'to-read' ? '' : shelf,
+    'Exclusive Shelf': shelf,
+    'Read Count': book.status === 'finished' ? 1 : 0,
+    'Owned Copies': 0
+  };
+};
+
+const fromGoodreadsRow = (row) => {
+  const title = (row.Title || '').trim();
+  if (!title) return null;
+
+  const authors = [row.Author, ...(row['Additional Authors'] || '').split(',')]
+    .map(name => (name || '').trim())
+    .filter(Boolean);
+  const isbns = [unwrapGoodreadsIsbn(row.ISBN13), unwrapGoodreadsIsbn(row.ISBN)].filter(Boolean);
+  const year = parseInt(row['Original Publication Year'] || row['Year Published'], 10);
+  const pages = parseInt(row['Number of Pages'], 10);
+  const rating = parseInt(row['My Rating'], 10);
+
+  return {
+    title,
+    author_name: authors.length > 0 ? authors : undefined,
+    first_publish_year: Number.isNaN(year) ? undefined : year,
+    isbn: isbns.length > 0 ? isbns : undefined,
+    publisher: row.Publisher ? [row.Publisher] : undefined,
+    addedDate: parseGoodreadsDate(row['Date Added']) || new Date().toISOString(),
+    status: SHELF_TO_STATUS[row['Exclusive Shelf']] || undefined,
+    pageCount: Number.isNaN(pages) ? undefined : pages,
+    finishedDate: parseGoodreadsDate(row['Date Read']) || undefined,
+    rating: rating > 0 ? rating : undefined
+  };
+};
+
+const fromCsvRow = (row) => {
+  const title = (row.title || '').trim();
+  if (!title && !row.key) return null;
+
+  const year = parseInt(row.first_publish_year, 10);
+  return {
+    key: row.key || undefined,
+    title: title || undefined,
+    author_name: row.author_name ? row.author_name.split(';').map(name => name.trim()).filter(Boolean) : undefined,
+    first_publish_year: Number.isNaN(year) ? undefined : year,
+    addedDate: row.addedDate || new Date().toISOString()
+  };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isFilledString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Reads the rows of a JSON import: either an array of books or an exported
+ * list record with an `items` array. Throws a message fit to show the user.
+ */
+const parseJsonRows = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('the file is not valid JSON');
+  }
+
+  if (Array.isArray(data)) return data;
+  if (isPlainObject(data) && Array.isArray(data.items)) return data.items;
+  throw new Error('expected a list of books or an object with an "items" list');
+};
+
+// Drop undefined fields so imported rows don't overwrite defaults with blanks
+const compact = (book) => Object.fromEntries(Object.entries(book).filter(([, value]) => value !== undefined));
+
+/**
+ * Serializes a list of saved books
+ * @param {Array} books - Saved book objects
+ * @param {string} format - One of 'json', 'csv', 'goodreads'
+ * @returns {string} File contents
+ */
+export const exportBooks = (books, format) => {
+  if (format === 'json') {
+    return JSON.stringify(books, null, 2);
+  }
+
+  if (format === 'goodreads') {
+    return toCsv(GOODREADS_COLUMNS, books.map(toGoodreadsRow));
+  }
+
+  return toCsv(CSV_COLUMNS, books.map(book => ({
+    ...book,
+    author_name: (book.author_name || []).join('; ')
+  })));
+};
+
+/**
+ * Works out the format of an imported file from its name and contents
+ * @param {string} fileName - Name of the imported file
+ * @param {string} text - File contents
+ */
+export const detectFormat = (fileName, text) => {
+  const trimmed = text.trim();
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return 'json';
+  }
+  const firstLine = trimmed.split(/\r?\n/, 1)[0];
+  return firstLine.includes('Exclusive Shelf') || firstLine.includes('Book Id') ? 'goodreads' : 'csv';
+};
+
+/**
+ * Parses an exported file back into book objects
+ * @param {string} text - File contents
+ * @param {string} format - One of 'json', 'csv', 'goodreads'
+ * @returns {{ books: Array, invalid: number }} Parsed books and the count of unusable rows
+ * @throws {Error} When a JSON file isn't valid JSON or doesn't hold a list of books
+ */
+export const importBooks = (text, format) => {
+  let rows;
+  let parseRow;
+
+  if (format === 'json') {
+    rows = parseJsonRows(text);
+    parseRow = (row) => (isPlainObject(row) && (isFilledString(row.key) || isFilledString(row.title)) ? row : null);
+  } else {
+    rows = parseCsv(text);
+    parseRow = format === 'goodreads' ? fromGoodreadsRow : fromCsvRow;
+  }
+
+  const books = [];
+  let invalid = 0;
+  rows.forEach(row => {
+    const book = parseRow(row);
+    if (book) {
+      books.push(compact(book));
+    } else {
+      invalid++;
+    }
+  });
+
+  return { books, invalid };
+};
+
+/**
+ * Merges imported books into an existing list, de-duplicating on book.key || book.title
+ * @param {Array} existing - Books already in the list
+ * @param {Array} imported - Books parsed from the import file
+ * @returns {{ merged: Array, added: number, duplicates: number }}
+ */
+export const mergeBooks = (existing, imported) => {
+  const seen = new Set(existing.map(getBookId));
+  const added = [];
+  let duplicates = 0;
+
+  imported.forEach(book => {
+    const bookId = getBookId(book);
+    if (seen.has(bookId)) {
+      duplicates++;
+    } else {
+      seen.add(bookId);
+      added.push(book);
+    }
+  });
+
+  return { merged: [...existing, ...added], added: added.length, duplicates };
+};
@@ -0,0 +1,133 @@
+import { parseCsv, exportBooks, detectFormat, importBooks, mergeBooks } from './listTransfer';
+
+const dune = {
+  key: '/works/OL893415W',
+  title: 'Dune',
+  author_name: ['Frank Herbert'],
+  first_publish_year: 1965,
+  addedDate: '2024-03-01T10:00:00.000Z'
+};
+
+const goodOmens = {
+  key: '/works/OL453936W',
+  title: 'Good Omens: The Nice and Accurate Prophecies of Agnes Nutter, "Witch"',
+  author_name: ['Terry Pratchett', 'Neil Gaiman'],
+  first_publish_year: 1990,
+  addedDate: '2024-03-02T10:00:00.000Z'
+};
+
+describe('parseCsv', () => {
+  it('handles quoted commas, escaped quotes, newlines and CRLF rows', () => {
+    const text = 'title,note\r\n"Dune, Part 1","He said ""hi""\nthen left"\r\nEmma,plain\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { title: 'Dune, Part 1', note: 'He said "hi"\nthen left' },
+      { title: 'Emma', note: 'plain' }
+    ]);
+  });
+
+  it('strips a byte order mark and skips blank lines', () => {
+    expect(parseCsv('\uFEFFtitle\n\nDune\n')).toEqual([{ title: 'Dune' }]);
+  });
+});
+
+describe('CSV round trip', () => {
+  it('exports and imports the same books', () => {
+    const csv = exportBooks([dune, goodOmens], 'csv');
+    const { books, invalid } = importBooks(csv, 'csv');
+
+    expect(invalid).toBe(0);
+    expect(books).toEqual([dune, goodOmens]);
+  });
+
+  it('counts rows without a key or title as invalid', () => {
+    const { books, invalid } = importBooks('key,title,author_name\n,,Anonymous\n/works/OL1W,,\n', 'csv');
+
+    expect(books).toEqual([expect.objectContaining({ key: '/works/OL1W' })]);
+    expect(invalid).toBe(1);
+  });
+});
+
+describe('Goodreads CSV round trip', () => {
+  const entry = {
+    ...dune,
+    isbn: ['0441013597', '9780441013593'],
+    publisher: ['Ace'],
+    status: 'finished',
+    pageCount: 604,
+    finishedDate: '2024-04-10T00:00:00.000Z',
+    rating: 5
+  };
+
+  it('writes the Goodreads columns', () => {
+    const [row] = parseCsv(exportBooks([entry], 'goodreads'));
+
+    expect(row['Author l-f']).toBe('Herbert, Frank');
+    expect(row.ISBN).toBe('="0441013597"');
+    expect(row.ISBN13).toBe('="9780441013593"');
+    expect(row['Exclusive Shelf']).toBe('read');
+    expect(row['Date Read']).toBe('2024/04/10');
+  });
+
+  it('reads back the title, authors, ISBNs and reading progress', () => {
+    const csv = exportBooks([entry], 'goodreads');
+    expect(detectFormat('goodreads_library_export.csv', csv)).toBe('goodreads');
+
+    const { books } = importBooks(csv, 'goodreads');
+
+    expect(books).toEqual([{
+      title: 'Dune',
+      author_name: ['Frank Herbert'],
+      first_publish_year: 1965,
+      isbn: ['9780441013593', '0441013597'],
+      publisher: ['Ace'],
+      addedDate: new Date('2024-03-01').toISOString(),
+      status: 'finished',
+      pageCount: 604,
+      finishedDate: new Date('2024-04-10').toISOString(),
+      rating: 5
+    }]);
+  });
+
+  it('maps shelves to reading statuses', () => {
+    const csv = 'Title,Exclusive Shelf\nA,to-read\nB,currently-reading\nC,read\n';
+
+    expect(importBooks(csv, 'goodreads').books.map(book => book.status)).toEqual(['want-to-read', 'reading', 'finished']);
+  });
+});
+
+describe('JSON import', () => {
+  it('accepts an array or an exported list record', () => {
+    expect(importBooks(JSON.stringify([dune]), 'json').books).toEqual([dune]);
+    expect(importBooks(JSON.stringify({ name: 'readingList', items: [dune] }), 'json').books).toEqual([dune]);
+  });
+
+  it('counts entries without a key or title as invalid', () => {
+    const text = JSON.stringify([dune, null, 'Dune', { title: '  ' }, { key: 42 }]);
+
+    expect(importBooks(text, 'json')).toEqual({ books: [dune], invalid: 4 });
+  });
+
+  it('explains files that are not a list of books', () => {
+    expect(() => importBooks('null', 'json')).toThrow('expected a list of books or an object with an "items" list');
+    expect(() => importBooks('{"books": []}', 'json')).toThrow('expected a list of books');
+    expect(() => importBooks('[{"title": "Dune"', 'json')).toThrow('the file is not valid JSON');
+  });
+});
+
+describe('detectFormat', () => {
+  it('recognises JSON by extension or contents and CSV otherwise', () => {
+    expect(detectFormat('list.json', '')).toBe('json');
+    expect(detectFormat('list.txt', ' [ ]')).toBe('json');
+    expect(detectFormat('list.csv', 'key,title\n')).toBe('csv');
+  });
+});
+
+describe('mergeBooks', () => {
+  it('adds new books and counts duplicates by key or title', () => {
+    const untitled = { title: 'Untitled' };
+    const result = mergeBooks([dune], [dune, goodOmens, untitled, { title: 'Untitled' }]);
+
+    expect(result).toEqual({ merged: [dune, goodOmens, untitled], added: 2, duplicates: 2 });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Offline support: service worker registration, and asking the worker to keep
+ * the covers of saved books available without a connection
+ */
+
+/**
+ * Registers the service worker in production builds
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(() => {
+      // The app works without it, just not offline
+    });
+  });
+};
+
+/**
+ * Whether the browser reports having no network connection
+ */
+export const isOffline = () => navigator.onLine === false;
+
+/**
+ * Sends the service worker the covers of every saved book. It keeps exactly these
+ * in a cache of their own, so an empty list clears it.
+ * @param {Array<string>} urls - Cover image URLs of the saved books
+ */
+export const syncSavedCovers = (urls) => {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready.then((registration) => {
+    if (registration.active) {
+      registration.active.postMessage({ type: 'SYNC_SAVED_COVERS', urls: [...new Set(urls)] });
+    }
+  });
+};
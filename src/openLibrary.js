@@ -0,0 +1,286 @@
+/**
+ * Open Library API client. Builds request URLs, throttles and retries requests,
+ * and reports failures as categorized OpenLibraryErrors. The transport is
+ * injectable so the client can run against local fixtures offline.
+ */
+
+export const BASE_URL = 'https://openlibrary.org';
+export const COVERS_URL = 'https://covers.openlibrary.org';
+
+export const ERROR_CATEGORIES = {
+  NETWORK: 'network',
+  RATE_LIMITED: 'rate-limited',
+  NOT_FOUND: 'not-found',
+  CLIENT: 'client',
+  SERVER: 'server'
+};
+
+/**
+ * Error raised for failed Open Library requests
+ * @param {string} category - One of ERROR_CATEGORIES
+ * @param {string} message - Description of the failure
+ * @param {number} status - HTTP status, when there was a response
+ */
+export class OpenLibraryError extends Error {
+  constructor(category, message, status = null) {
+    super(message);
+    this.name = 'OpenLibraryError';
+    this.category = category;
+    this.status = status;
+  }
+}
+
+const USER_MESSAGES = {
+  [ERROR_CATEGORIES.NETWORK]: 'Could not reach Open Library. Check your connection and try again.',
+  [ERROR_CATEGORIES.RATE_LIMITED]: 'Open Library is receiving too many requests. Please wait a moment and try again.',
+  [ERROR_CATEGORIES.NOT_FOUND]: 'Open Library has no record for this request.',
+  [ERROR_CATEGORIES.CLIENT]: 'Open Library could not handle this request. Check the search and try again.',
+  [ERROR_CATEGORIES.SERVER]: 'Open Library is having trouble right now. Please try again later.'
+};
+
+/**
+ * Returns a user-facing message for an error thrown by the client
+ * @param {Error} err - Error from a client call
+ */
+export const getErrorMessage = (err) => USER_MESSAGES[err.category] || err.message;
+
+/**
+ * Default transport: the browser fetch API
+ */
+const fetchTransport = (url, options) => fetch(url, options);
+
+/**
+ * Transport that answers from an object of fixtures keyed by URL path and query,
+ * e.g. { '/works/OL45804W.json': {...} }. Unknown URLs respond with 404.
+ * A fixture can also be a function called with the URL that returns
+ * { status, headers, body }, to script failures such as 429s.
+ * @param {Object} fixtures - Response bodies keyed by path
+ */
+export const createFixtureTransport = (fixtures) => async (url) => {
+  const { pathname, search } = new URL(url);
+  const fixture = fixtures[pathname + search] || fixtures[pathname];
+  const { status = 200, headers = {}, body } = typeof fixture === 'function'
+    ? fixture(url)
+    : { status: fixture ? 200 : 404, body: fixture };
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {
+      get: (name) => {
+        const header = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+        return header ? String(headers[header]) : null;
+      }
+    },
+    json: async () => body
+  };
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+});
+
+const isRetryable = (err) => (
+  err.category === ERROR_CATEGORIES.RATE_LIMITED
+  || err.category === ERROR_CATEGORIES.NETWORK
+  || err.category === ERROR_CATEGORIES.SERVER
+);
+
+// ebook_access values sort as no_ebook < unclassified < printdisabled < borrowable < public,
+// so this range matches books anyone can read or borrow
+export const READABLE_QUERY = 'ebook_access:[borrowable TO *]';
+
+/**
+ * Builds the search.json URL for a search
+ * @param {Object} params - { query, type, page, limit, filters, sort, fields }
+ */
+export const buildSearchUrl = ({ query, type = 'title', page = 1, limit = 12, filters = {}, sort, fields }) => {
+  // Advanced queries are already in Open Library's query syntax
+  const searchParam = type === 'advanced' ? 'q' : type === 'author' ? 'author' : type === 'subject' ? 'subject' : 'title';
+  const searchValue = type === 'advanced' && filters.readable ? `(${query}) AND ${READABLE_QUERY}` : query;
+  let url = `${BASE_URL}/search.json?${searchParam}=${encodeURIComponent(searchValue)}&page=${page}&limit=${limit}`;
+
+  if (filters.yearFrom) url += `&first_publish_year[from]=${filters.yearFrom}`;
+  if (filters.yearTo) url += `&first_publish_year[to]=${filters.yearTo}`;
+  if (filters.language) url += `&language=${filters.language}`;
+  if (filters.subject) url += `&subject=${encodeURIComponent(filters.subject)}`;
+  if (filters.author) url += `&author=${encodeURIComponent(filters.author)}`;
+  if (filters.publisher) url += `&publisher=${encodeURIComponent(filters.publisher)}`;
+  if (filters.readable && type !== 'advanced') url += `&q=${encodeURIComponent(READABLE_QUERY)}`;
+  if (sort) url += `&sort=${sort}`;
+  if (fields) url += `&fields=${fields}`;
+
+  return url;
+};
+
+/**
+ * Returns the URL of a cover image
+ * @param {number} coverId - Cover id (cover_i on search docs)
+ * @param {string} size - 'S', 'M' or 'L'
+ */
+export const coverUrl = (coverId, size = 'M') => (
+  coverId ? `${COVERS_URL}/b/id/${coverId}-${size}.jpg` : null
+);
+
+/**
+ * Returns the URL of an author photo
+ * @param {number} photoId - Photo id from the author record
+ * @param {string} size - 'S', 'M' or 'L'
+ */
+export const authorPhotoUrl = (photoId, size = 'M') => (
+  photoId ? `${COVERS_URL}/a/id/${photoId}-${size}.jpg` : null
+);
+
+// Strips the leading /works/ or /authors/ so callers can pass either form of key
+const toId = (key) => String(key).split('/').pop();
+
+/**
+ * Creates an Open Library client
+ * @param {Object} options
+ * @param {Function} options.transport - fetch-compatible function (url, { signal }) => Response
+ * @param {number} options.maxRetries - Retries for rate-limited, server and network failures
+ * @param {number} options.retryDelay - Base delay in ms for exponential backoff
+ * @param {number} options.minInterval - Minimum ms between request starts
+ */
+export const createOpenLibraryClient = ({
+  transport = fetchTransport,
+  maxRetries = 3,
+  retryDelay = 500,
+  minInterval = 200
+} = {}) => {
+  let nextSlot = 0;
+
+  // Spaces request starts at least minInterval apart
+  const throttle = (signal) => {
+    const now = Date.now();
+    const startAt = Math.max(now, nextSlot);
+    nextSlot = startAt + minInterval;
+    return startAt > now ? wait(startAt - now, signal) : Promise.resolve();
+  };
+
+  const requestOnce = async (url, signal) => {
+    await throttle(signal);
+
+    let response;
+    try {
+      response = await transport(url, { signal });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      throw new OpenLibraryError(ERROR_CATEGORIES.NETWORK, `Network error: ${err.message}`);
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    if (response.status === 404) {
+      throw new OpenLibraryError(ERROR_CATEGORIES.NOT_FOUND, `Not found: ${url}`, 404);
+    }
+    if (response.status === 429) {
+      const error = new OpenLibraryError(ERROR_CATEGORIES.RATE_LIMITED, 'Rate limited by Open Library', 429);
+      const retryAfter = parseInt(response.headers && response.headers.get('Retry-After'), 10);
+      error.retryAfter = Number.isNaN(retryAfter) ? null : retryAfter * 1000;
+      throw error;
+    }
+    if (response.status >= 500) {
+      throw new OpenLibraryError(ERROR_CATEGORIES.SERVER, `Server error: ${response.status}`, response.status);
+    }
+    // Any other 4xx means the request itself was rejected, so retrying won't help
+    throw new OpenLibraryError(ERROR_CATEGORIES.CLIENT, `HTTP error! status: ${response.status}`, response.status);
+  };
+
+  /**
+   * Fetches JSON from a URL, retrying with exponential backoff on retryable failures
+   * @param {string} url - Full request URL
+   * @param {Object} options - { signal }
+   */
+  const getJson = async (url, { signal } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await requestOnce(url, signal);
+      } catch (err) {
+        if (err.name === 'AbortError' || !isRetryable(err) || attempt >= maxRetries) {
+          throw err;
+        }
+        const backoff = err.retryAfter || retryDelay * 2 ** attempt;
+        await wait(backoff + Math.random() * retryDelay, signal);
+      }
+    }
+  };
+
+  return {
+    getJson,
+
+    /**
+     * Searches for books
+     * @param {Object} params - { query, type, page, limit, filters, sort, fields }
+     * @param {Object} options - { signal }
+     */
+    searchBooks: (params, options) => getJson(buildSearchUrl(params), options),
+
+    /**
+     * Searches for authors by name
+     * @param {string} query - Author name
+     * @param {Object} options - { signal, limit }
+     */
+    searchAuthors: (query, { limit = 5, ...options } = {}) => (
+      getJson(`${BASE_URL}/search/authors.json?q=${encodeURIComponent(query)}&limit=${limit}`, options)
+    ),
+
+    /**
+     * Loads a work record
+     * @param {string} key - Work key, e.g. '/works/OL45804W' or 'OL45804W'
+     * @param {Object} options - { signal }
+     */
+    getWork: (key, options) => getJson(`${BASE_URL}/works/${toId(key)}.json`, options),
+
+    /**
+     * Loads the editions of a work
+     * @param {string} key - Work key
+     * @param {Object} options - { signal, limit, offset }
+     */
+    getEditions: (key, { limit = 20, offset = 0, ...options } = {}) => (
+      getJson(`${BASE_URL}/works/${toId(key)}/editions.json?limit=${limit}&offset=${offset}`, options)
+    ),
+
+    /**
+     * Loads the edition with an ISBN
+     * @param {string} isbn - ISBN-10 or ISBN-13 without hyphens
+     * @param {Object} options - { signal }
+     */
+    getEditionByIsbn: (isbn, options) => getJson(`${BASE_URL}/isbn/${isbn}.json`, options),
+
+    /**
+     * Loads an author record
+     * @param {string} key - Author key, e.g. '/authors/OL23919A' or 'OL23919A'
+     * @param {Object} options - { signal }
+     */
+    getAuthor: (key, options) => getJson(`${BASE_URL}/authors/${toId(key)}.json`, options),
+
+    /**
+     * Loads a page of an author's works
+     * @param {string} key - Author key
+     * @param {Object} options - { signal, limit, offset }
+     */
+    getAuthorWorks: (key, { limit = 12, offset = 0, ...options } = {}) => (
+      getJson(`${BASE_URL}/authors/${toId(key)}/works.json?limit=${limit}&offset=${offset}`, options)
+    ),
+
+    coverUrl
+  };
+};
+
+const openLibrary = createOpenLibraryClient();
+
+export default openLibrary;
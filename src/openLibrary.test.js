@@ -0,0 +1,176 @@
+import {
+  BASE_URL,
+  ERROR_CATEGORIES,
+  OpenLibraryError,
+  READABLE_QUERY,
+  buildSearchUrl,
+  coverUrl,
+  createFixtureTransport,
+  createOpenLibraryClient,
+  getErrorMessage
+} from './openLibrary';
+
+const WORK = { key: '/works/OL45804W', title: 'Fantastic Mr Fox' };
+
+// Responds with each scripted status in turn, then with the work
+const scripted = (...responses) => {
+  const calls = [];
+  const fixture = (url) => {
+    calls.push(url);
+    return responses[calls.length - 1] || { body: WORK };
+  };
+  return { fixture, calls };
+};
+
+describe('createOpenLibraryClient', () => {
+  let delays;
+
+  beforeEach(() => {
+    // Run timers at once and record their delays; no random jitter
+    delays = [];
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+      delays.push(ms);
+      callback();
+      return 0;
+    });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createClient = (fixtures, options) => createOpenLibraryClient({
+    transport: createFixtureTransport(fixtures),
+    minInterval: 0,
+    retryDelay: 100,
+    ...options
+  });
+
+  it('loads works from fixtures by key or id', async () => {
+    const client = createClient({ '/works/OL45804W.json': WORK });
+
+    await expect(client.getWork('/works/OL45804W')).resolves.toEqual(WORK);
+    await expect(client.getWork('OL45804W')).resolves.toEqual(WORK);
+  });
+
+  it('retries 5xx responses with exponential backoff', async () => {
+    const { fixture, calls } = scripted({ status: 503 }, { status: 500 }, { status: 502 });
+    const client = createClient({ '/works/OL45804W.json': fixture });
+
+    await expect(client.getWork('OL45804W')).resolves.toEqual(WORK);
+    expect(calls).toHaveLength(4);
+    expect(delays).toEqual([100, 200, 400]);
+  });
+
+  it('retries 429 responses and waits as long as Retry-After asks', async () => {
+    const { fixture, calls } = scripted({ status: 429, headers: { 'retry-after': '3' } }, { status: 429 });
+    const client = createClient({ '/works/OL45804W.json': fixture });
+
+    await expect(client.getWork('OL45804W')).resolves.toEqual(WORK);
+    expect(calls).toHaveLength(3);
+    expect(delays).toEqual([3000, 200]);
+  });
+
+  it('gives up after maxRetries with a categorized error', async () => {
+    const client = createClient({ '/works/OL45804W.json': () => ({ status: 503 }) }, { maxRetries: 2 });
+
+    const error = await client.getWork('OL45804W').catch(err => err);
+
+    expect(error).toBeInstanceOf(OpenLibraryError);
+    expect(error.category).toBe(ERROR_CATEGORIES.SERVER);
+    expect(error.status).toBe(503);
+    expect(delays).toEqual([100, 200]);
+  });
+
+  it('retries network failures', async () => {
+    const transport = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce({ ok: true, status: 200, json: async () => WORK });
+    const client = createOpenLibraryClient({ transport, minInterval: 0, retryDelay: 100 });
+
+    await expect(client.getWork('OL45804W')).resolves.toEqual(WORK);
+    expect(transport).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry 404s or other 4xx responses', async () => {
+    const { fixture, calls } = scripted({ status: 400 });
+    const client = createClient({ '/works/OL45804W.json': fixture });
+
+    await expect(client.getWork('OL1W')).rejects.toMatchObject({ category: ERROR_CATEGORIES.NOT_FOUND, status: 404 });
+    await expect(client.getWork('OL45804W')).rejects.toMatchObject({ category: ERROR_CATEGORIES.CLIENT, status: 400 });
+    expect(calls).toHaveLength(1);
+    expect(delays).toEqual([]);
+  });
+
+  it('passes aborts through without retrying', async () => {
+    const transport = jest.fn().mockRejectedValue(new DOMException('Aborted', 'AbortError'));
+    const client = createOpenLibraryClient({ transport, minInterval: 0 });
+
+    await expect(client.getWork('OL45804W')).rejects.toMatchObject({ name: 'AbortError' });
+    expect(transport).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops waiting for a retry when the request is aborted', async () => {
+    setTimeout.mockRestore();
+    const controller = new AbortController();
+    const client = createClient({
+      '/works/OL45804W.json': () => {
+        // Abort while the client is backing off from this failure
+        Promise.resolve().then(() => controller.abort());
+        return { status: 503 };
+      }
+    }, { retryDelay: 60000 });
+
+    await expect(client.getWork('OL45804W', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('removes its abort listener once a backoff wait is over', async () => {
+    const { fixture } = scripted({ status: 503 });
+    const client = createClient({ '/works/OL45804W.json': fixture });
+    const { signal } = new AbortController();
+    const removeEventListener = jest.spyOn(signal, 'removeEventListener');
+
+    await client.getWork('OL45804W', { signal });
+
+    expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+  });
+});
+
+describe('buildSearchUrl', () => {
+  it('encodes the query, page and filters', () => {
+    const url = buildSearchUrl({
+      query: 'the hobbit',
+      type: 'title',
+      page: 2,
+      limit: 24,
+      filters: { yearFrom: 1930, yearTo: 1940, language: 'eng', subject: 'Fantasy fiction' },
+      sort: 'new'
+    });
+
+    expect(url).toBe(`${BASE_URL}/search.json?title=the%20hobbit&page=2&limit=24`
+      + '&first_publish_year[from]=1930&first_publish_year[to]=1940&language=eng&subject=Fantasy%20fiction&sort=new');
+  });
+
+  it('adds the readable filter as a query, or to an advanced query', () => {
+    expect(buildSearchUrl({ query: 'tolkien', type: 'author', filters: { readable: true } }))
+      .toContain(`author=tolkien&page=1&limit=12&q=${encodeURIComponent(READABLE_QUERY)}`);
+    expect(buildSearchUrl({ query: 'subject:dogs', type: 'advanced', filters: { readable: true } }))
+      .toContain(`q=${encodeURIComponent(`(subject:dogs) AND ${READABLE_QUERY}`)}&page=1`);
+  });
+});
+
+describe('helpers', () => {
+  it('builds cover URLs only for books with a cover', () => {
+    expect(coverUrl(12345, 'S')).toBe('https://covers.openlibrary.org/b/id/12345-S.jpg');
+    expect(coverUrl(undefined)).toBeNull();
+  });
+
+  it('explains each error category to the user', () => {
+    const categories = Object.values(ERROR_CATEGORIES);
+    categories.forEach(category => {
+      expect(getErrorMessage(new OpenLibraryError(category, 'raw'))).not.toBe('raw');
+    });
+    expect(getErrorMessage(new Error('Something else'))).toBe('Something else');
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Page sizes and page-number helpers for the search results pager
+ */
+
+export const PAGE_SIZES = [12, 24, 48, 96];
+
+export const DEFAULT_PAGE_SIZE = 12;
+
+/**
+ * Number of pages needed for a result count
+ * @param {number} total - numFound from the API
+ * @param {number} pageSize - Results per page
+ */
+export const getTotalPages = (total, pageSize) => Math.max(1, Math.ceil(total / pageSize));
+
+/**
+ * Page numbers to show in the pager: the first and last pages, a window around
+ * the current page, and 'gap' markers where pages are skipped
+ * @param {number} currentPage - Page being shown
+ * @param {number} totalPages - Total number of pages
+ * @param {number} radius - Pages to show on each side of the current page
+ * @returns {Array<number|string>} e.g. [1, 'gap', 4, 5, 6, 'gap', 20]
+ */
+export const getPageItems = (currentPage, totalPages, radius = 2) => {
+  const items = [];
+  const start = Math.max(2, currentPage - radius);
+  const end = Math.min(totalPages - 1, currentPage + radius);
+
+  items.push(1);
+  if (start > 2) items.push('gap');
+  for (let page = start; page <= end; page++) items.push(page);
+  if (end < totalPages - 1) items.push('gap');
+  if (totalPages > 1) items.push(totalPages);
+
+  return items;
+};
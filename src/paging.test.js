@@ -0,0 +1,30 @@
+import { getTotalPages, getPageItems } from './paging';
+
+describe('getTotalPages', () => {
+  it('rounds up and never drops below one page', () => {
+    expect(getTotalPages(100, 12)).toBe(9);
+    expect(getTotalPages(96, 48)).toBe(2);
+    expect(getTotalPages(0, 12)).toBe(1);
+  });
+});
+
+describe('getPageItems', () => {
+  it('shows every page when there are few', () => {
+    expect(getPageItems(1, 1)).toEqual([1]);
+    expect(getPageItems(2, 5)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('puts gaps around the window in the middle', () => {
+    expect(getPageItems(10, 20)).toEqual([1, 'gap', 8, 9, 10, 11, 12, 'gap', 20]);
+  });
+
+  it('only adds a gap on the side that skips pages', () => {
+    expect(getPageItems(1, 20)).toEqual([1, 2, 3, 'gap', 20]);
+    expect(getPageItems(4, 20)).toEqual([1, 2, 3, 4, 5, 6, 'gap', 20]);
+    expect(getPageItems(20, 20)).toEqual([1, 'gap', 18, 19, 20]);
+  });
+
+  it('widens the window with a larger radius', () => {
+    expect(getPageItems(10, 20, 1)).toEqual([1, 'gap', 9, 10, 11, 'gap', 20]);
+  });
+});
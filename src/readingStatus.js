@@ -0,0 +1,76 @@
+/**
+ * Reading list status values, in the order they are shown in the UI
+ */
+export const READING_STATUSES = [
+  { value: 'want-to-read', label: 'Want to Read', icon: '📌' },
+  { value: 'reading', label: 'Reading', icon: '📖' },
+  { value: 'finished', label: 'Finished', icon: '✅' },
+  { value: 'abandoned', label: 'Abandoned', icon: '⏸️' }
+];
+
+export const DEFAULT_READING_STATUS = 'want-to-read';
+
+/**
+ * Fills in reading-tracking fields missing from a reading list entry
+ * @param {Object} entry - Book object stored in the reading list
+ */
+export const withReadingDefaults = (entry) => ({
+  status: DEFAULT_READING_STATUS,
+  currentPage: 0,
+  pageCount: entry.number_of_pages_median || null,
+  startedDate: null,
+  finishedDate: null,
+  rating: null,
+  ...entry
+});
+
+/**
+ * Creates a new reading list entry from a search result
+ * @param {Object} book - Book object from the search results
+ */
+export const createReadingEntry = (book) => withReadingDefaults({
+  ...book,
+  addedDate: new Date().toISOString()
+});
+
+/**
+ * Applies user changes to a reading list entry, stamping start/finish dates
+ * when the status moves and keeping the current page within the page count
+ * @param {Object} entry - Existing reading list entry
+ * @param {Object} changes - Fields to update (status, currentPage, pageCount, rating)
+ */
+export const updateReadingEntry = (entry, changes) => {
+  const today = new Date().toISOString();
+  const next = { ...entry, ...changes };
+
+  if (changes.status && changes.status !== entry.status) {
+    if (changes.status === 'reading' && !next.startedDate) {
+      next.startedDate = today;
+    }
+    if (changes.status === 'finished') {
+      next.startedDate = next.startedDate || today;
+      next.finishedDate = today;
+      if (next.pageCount) next.currentPage = next.pageCount;
+    } else {
+      next.finishedDate = null;
+    }
+  }
+
+  if (next.pageCount && next.currentPage > next.pageCount) {
+    next.currentPage = next.pageCount;
+  }
+  if (next.currentPage < 0) {
+    next.currentPage = 0;
+  }
+
+  return next;
+};
+
+/**
+ * Percentage of the book read, or null when the page count is unknown
+ * @param {Object} entry - Reading list entry
+ */
+export const getReadingProgress = (entry) => {
+  if (!entry.pageCount) return null;
+  return Math.round((entry.currentPage / entry.pageCount) * 100);
+};
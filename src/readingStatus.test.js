@@ -0,0 +1,84 @@
+import { withReadingDefaults, createReadingEntry, updateReadingEntry, getReadingProgress } from './readingStatus';
+
+const TODAY = '2024-03-10T12:00:00.000Z';
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(new Date(TODAY));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const entry = (extra = {}) => withReadingDefaults({ key: '/works/OL1W', title: 'Dune', ...extra });
+
+describe('withReadingDefaults', () => {
+  it('fills in missing tracking fields and keeps existing ones', () => {
+    expect(withReadingDefaults({ title: 'Dune', number_of_pages_median: 412, rating: 4 })).toEqual({
+      title: 'Dune',
+      number_of_pages_median: 412,
+      status: 'want-to-read',
+      currentPage: 0,
+      pageCount: 412,
+      startedDate: null,
+      finishedDate: null,
+      rating: 4
+    });
+  });
+
+  it('stamps new entries with the date they were added', () => {
+    expect(createReadingEntry({ title: 'Dune' })).toMatchObject({ status: 'want-to-read', addedDate: TODAY });
+  });
+});
+
+describe('updateReadingEntry', () => {
+  it('stamps the start date when reading begins', () => {
+    expect(updateReadingEntry(entry(), { status: 'reading' })).toMatchObject({ status: 'reading', startedDate: TODAY, finishedDate: null });
+  });
+
+  it('keeps an earlier start date when reading again', () => {
+    const started = entry({ status: 'abandoned', startedDate: '2024-01-01T00:00:00.000Z' });
+
+    expect(updateReadingEntry(started, { status: 'reading' }).startedDate).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  it('finishes on the last page, starting today if the book was never started', () => {
+    expect(updateReadingEntry(entry({ pageCount: 412, currentPage: 30 }), { status: 'finished' })).toMatchObject({
+      startedDate: TODAY,
+      finishedDate: TODAY,
+      currentPage: 412
+    });
+  });
+
+  it('clears the finish date when moving away from finished', () => {
+    const finished = entry({ status: 'finished', startedDate: TODAY, finishedDate: TODAY });
+
+    expect(updateReadingEntry(finished, { status: 'reading' })).toMatchObject({ startedDate: TODAY, finishedDate: null });
+  });
+
+  it('leaves the dates alone when the status does not change', () => {
+    const finished = entry({ status: 'finished', finishedDate: '2024-01-01T00:00:00.000Z' });
+
+    expect(updateReadingEntry(finished, { status: 'finished', rating: 5 })).toMatchObject({
+      finishedDate: '2024-01-01T00:00:00.000Z',
+      rating: 5
+    });
+  });
+
+  it('keeps the current page within the book', () => {
+    expect(updateReadingEntry(entry({ pageCount: 100 }), { currentPage: 150 }).currentPage).toBe(100);
+    expect(updateReadingEntry(entry({ pageCount: 100 }), { currentPage: -5 }).currentPage).toBe(0);
+    expect(updateReadingEntry(entry(), { currentPage: 150 }).currentPage).toBe(150);
+  });
+});
+
+describe('getReadingProgress', () => {
+  it('rounds to a whole percentage', () => {
+    expect(getReadingProgress(entry({ pageCount: 300, currentPage: 100 }))).toBe(33);
+  });
+
+  it('is unknown without a page count', () => {
+    expect(getReadingProgress(entry({ currentPage: 100 }))).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Recently executed search queries, kept in localStorage for autocomplete
+ */
+
+const STORAGE_KEY = 'book-finder:recent-queries';
+const MAX_RECENT_QUERIES = 10;
+
+/**
+ * Returns recent queries, newest first
+ * @returns {Array<{ query: string, type: string }>}
+ */
+export const getRecentQueries = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * Records a query, moving it to the front if it was already present
+ * @param {string} query - Search query
+ * @param {string} type - Search type ('title', 'author', 'subject')
+ */
+export const addRecentQuery = (query, type) => {
+  const trimmed = query.trim();
+  if (!trimmed) return;
+
+  const recent = getRecentQueries().filter(item => (
+    item.query.toLowerCase() !== trimmed.toLowerCase() || item.type !== type
+  ));
+  const next = [{ query: trimmed, type }, ...recent].slice(0, MAX_RECENT_QUERIES);
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (err) {
+    // Storage disabled; autocomplete just won't remember this query
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * Local recommendations built from the user's saved books. A taste profile weighs
+ * the subjects, authors and publish decades of bookmarked and reading list books;
+ * candidate searches come from its strongest signals and the results are ranked
+ * by overlap with the profile, each with the saved book that contributed most.
+ */
+
+import { getGroupKey } from './editionGroups';
+
+// How much one shared subject, author or decade adds to a candidate's score
+const SUBJECT_WEIGHT = 1;
+const AUTHOR_WEIGHT = 3;
+const ERA_WEIGHT = 0.5;
+
+// Only the first subjects of a doc are specific enough to be worth matching
+const SUBJECTS_PER_BOOK = 8;
+
+// Subjects too broad to say anything about taste
+const GENERIC_SUBJECTS = new Set(['fiction', 'general', 'nonfiction', 'non-fiction', 'english language', 'accessible book', 'protected daisy', 'in library', 'lending library', 'large type books']);
+
+const getBookId = (book) => book.key || book.title;
+
+const getDecade = (year) => (year ? Math.floor(year / 10) * 10 : null);
+
+const getSubjects = (book) => (book.subject || [])
+  .slice(0, SUBJECTS_PER_BOOK)
+  .map(subject => subject.toLowerCase().trim())
+  .filter(subject => subject && !GENERIC_SUBJECTS.has(subject));
+
+/**
+ * How strongly a saved book says something about the user's taste: rated and
+ * finished books count more, abandoned ones less
+ * @param {Object} book - Bookmarked book or reading list entry
+ */
+const getBookWeight = (book) => {
+  if (book.status === 'abandoned') return 0.25;
+  let weight = book.status === 'finished' || book.status === 'reading' ? 1.5 : 1;
+  if (book.rating) weight *= book.rating / 3;
+  return weight;
+};
+
+const addSignal = (signals, value, weight, book) => {
+  const signal = signals.get(value) || { value, weight: 0, source: book, sourceWeight: 0 };
+  signal.weight += weight;
+  // Remember the saved book that contributed most, for "because you saved X"
+  if (weight > signal.sourceWeight) {
+    signal.source = book;
+    signal.sourceWeight = weight;
+  }
+  signals.set(value, signal);
+};
+
+/**
+ * Builds the taste profile of a set of saved books
+ * @param {Array} savedBooks - Bookmarked books and reading list entries
+ * @returns {{ subjects: Map, authors: Map, eras: Map, savedIds: Set, savedGroups: Set }}
+ */
+export const buildTasteProfile = (savedBooks) => {
+  const profile = { subjects: new Map(), authors: new Map(), eras: new Map(), savedIds: new Set(), savedGroups: new Set() };
+
+  savedBooks.forEach(book => {
+    const weight = getBookWeight(book);
+    profile.savedIds.add(getBookId(book));
+    profile.savedGroups.add(getGroupKey(book));
+    getSubjects(book).forEach(subject => addSignal(profile.subjects, subject, weight, book));
+    (book.author_name || []).forEach(author => addSignal(profile.authors, author, weight, book));
+    const decade = getDecade(book.first_publish_year);
+    if (decade) addSignal(profile.eras, decade, weight, book);
+  });
+
+  return profile;
+};
+
+const topSignals = (signals, count) => Array.from(signals.values())
+  .sort((a, b) => b.weight - a.weight)
+  .slice(0, count);
+
+/**
+ * Searches to run for recommendation candidates: the strongest subjects and authors
+ * @param {Object} profile - Taste profile from buildTasteProfile
+ * @returns {Array<{ query: string, type: string }>}
+ */
+export const getCandidateSearches = (profile) => [
+  ...topSignals(profile.subjects, 3).map(signal => ({ query: signal.value, type: 'subject' })),
+  ...topSignals(profile.authors, 2).map(signal => ({ query: signal.value, type: 'author' }))
+];
+
+/**
+ * Scores a candidate doc against the profile
+ * @param {Object} book - Candidate search doc
+ * @param {Object} profile - Taste profile
+ * @returns {{ score: number, reason: string }}
+ */
+export const scoreBook = (book, profile) => {
+  const matches = [];
+
+  getSubjects(book).forEach(subject => {
+    const signal = profile.subjects.get(subject);
+    if (signal) matches.push({ signal, score: signal.weight * SUBJECT_WEIGHT, kind: 'subject' });
+  });
+  (book.author_name || []).forEach(author => {
+    const signal = profile.authors.get(author);
+    if (signal) matches.push({ signal, score: signal.weight * AUTHOR_WEIGHT, kind: 'author' });
+  });
+  const era = profile.eras.get(getDecade(book.first_publish_year));
+  if (era) matches.push({ signal: era, score: era.weight * ERA_WEIGHT, kind: 'era' });
+
+  if (matches.length === 0) return { score: 0, reason: '' };
+
+  const best = matches.reduce((a, b) => (b.score > a.score ? b : a));
+  const because = `Because you saved ${best.signal.source.title}`;
+  const detail = best.kind === 'author'
+    ? `also by ${best.signal.value}`
+    : best.kind === 'subject' ? `also about ${best.signal.value}` : `also from the ${best.signal.value}s`;
+
+  return {
+    score: matches.reduce((total, match) => total + match.score, 0),
+    reason: `${because} (${detail})`
+  };
+};
+
+/**
+ * Ranks candidate docs, leaving out saved books and other editions of them
+ * @param {Array} candidates - Docs from the candidate searches
+ * @param {Object} profile - Taste profile
+ * @param {number} limit - Maximum number of recommendations
+ * @returns {Array<{ book: Object, score: number, reason: string }>}
+ */
+export const rankRecommendations = (candidates, profile, limit = 8) => {
+  const seen = new Set();
+  const ranked = [];
+
+  candidates.forEach(book => {
+    const groupKey = getGroupKey(book);
+    if (profile.savedIds.has(getBookId(book)) || profile.savedGroups.has(groupKey) || seen.has(groupKey)) return;
+    seen.add(groupKey);
+
+    const { score, reason } = scoreBook(book, profile);
+    if (score > 0) ranked.push({ book, score, reason });
+  });
+
+  return ranked.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+const toTitleCase = (text) => text.replace(/\b\w/g, letter => letter.toUpperCase());
+
+/**
+ * Quick search chips from the user's own history: recent searches first, then
+ * the strongest subjects and authors of their saved books
+ * @param {Array} recentQueries - Recent queries from getRecentQueries
+ * @param {Object} profile - Taste profile
+ * @param {number} limit - Maximum number of chips
+ * @returns {Array<{ type: string, query: string, label: string }>}
+ */
+export const getQuickSearches = (recentQueries, profile, limit = 8) => {
+  const suggestions = [
+    // Builder queries are in Open Library's query syntax, which makes a poor chip label
+    ...recentQueries
+      .filter(item => item.type !== 'advanced')
+      .map(item => ({ type: item.type, query: item.query, label: item.query })),
+    ...topSignals(profile.subjects, limit).map(signal => ({ type: 'subject', query: signal.value, label: toTitleCase(signal.value) })),
+    ...topSignals(profile.authors, limit).map(signal => ({ type: 'author', query: signal.value, label: signal.value }))
+  ];
+
+  const seen = new Set();
+  return suggestions.filter(suggestion => {
+    const id = `${suggestion.type}:${suggestion.query.toLowerCase()}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  }).slice(0, limit);
+};
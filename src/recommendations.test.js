@@ -0,0 +1,106 @@
+import { buildTasteProfile, getCandidateSearches, scoreBook, rankRecommendations, getQuickSearches } from './recommendations';
+
+const dune = {
+  key: '/works/OL1W',
+  title: 'Dune',
+  author_name: ['Frank Herbert'],
+  subject: ['Fiction', 'Science fiction', 'Desert planets'],
+  first_publish_year: 1965,
+  status: 'finished',
+  rating: 5
+};
+
+const emma = {
+  key: '/works/OL2W',
+  title: 'Emma',
+  author_name: ['Jane Austen'],
+  subject: ['Fiction', 'Love stories'],
+  first_publish_year: 1815,
+  status: 'abandoned'
+};
+
+describe('buildTasteProfile', () => {
+  it('weighs signals by reading status and rating and skips generic subjects', () => {
+    const profile = buildTasteProfile([dune, emma]);
+
+    expect(Array.from(profile.subjects.keys())).toEqual(['science fiction', 'desert planets', 'love stories']);
+    // Finished (1.5) rated 5/3
+    expect(profile.authors.get('Frank Herbert').weight).toBeCloseTo(2.5);
+    expect(profile.authors.get('Jane Austen').weight).toBe(0.25);
+    expect(profile.eras.get(1960).source).toBe(dune);
+    expect(profile.savedIds).toEqual(new Set(['/works/OL1W', '/works/OL2W']));
+  });
+});
+
+describe('getCandidateSearches', () => {
+  it('searches the strongest subjects and authors', () => {
+    expect(getCandidateSearches(buildTasteProfile([dune, emma]))).toEqual([
+      { query: 'science fiction', type: 'subject' },
+      { query: 'desert planets', type: 'subject' },
+      { query: 'love stories', type: 'subject' },
+      { query: 'Frank Herbert', type: 'author' },
+      { query: 'Jane Austen', type: 'author' }
+    ]);
+  });
+
+  it('has nothing to search without saved books', () => {
+    expect(getCandidateSearches(buildTasteProfile([]))).toEqual([]);
+  });
+});
+
+describe('scoreBook', () => {
+  const profile = buildTasteProfile([dune]);
+
+  it('adds up matches and explains the strongest one', () => {
+    const messiah = { title: 'Dune Messiah', author_name: ['Frank Herbert'], subject: ['Science fiction'], first_publish_year: 1969 };
+
+    expect(scoreBook(messiah, profile)).toEqual({
+      score: 2.5 * 1 + 2.5 * 3 + 2.5 * 0.5,
+      reason: 'Because you saved Dune (also by Frank Herbert)'
+    });
+  });
+
+  it('scores unrelated books zero', () => {
+    expect(scoreBook({ title: 'Cookbook', subject: ['Cooking'] }, profile)).toEqual({ score: 0, reason: '' });
+  });
+});
+
+describe('rankRecommendations', () => {
+  it('orders by score and leaves out saved books, their editions and repeats', () => {
+    const profile = buildTasteProfile([dune]);
+    const candidates = [
+      { key: '/works/OL3W', title: 'Hyperion', author_name: ['Dan Simmons'], subject: ['Science fiction'] },
+      { key: '/works/OL1W', title: 'Dune', author_name: ['Frank Herbert'] },
+      { key: '/works/OL9W', title: 'Dune (Deluxe Edition)', author_name: ['Frank Herbert'] },
+      { key: '/works/OL4W', title: 'Children of Dune', author_name: ['Frank Herbert'] },
+      { key: '/works/OL5W', title: 'Children of Dune', author_name: ['Frank Herbert'] },
+      { key: '/works/OL6W', title: 'Cookbook', subject: ['Cooking'] }
+    ];
+
+    expect(rankRecommendations(candidates, profile).map(item => item.book.key)).toEqual(['/works/OL4W', '/works/OL3W']);
+  });
+
+  it('returns at most limit recommendations', () => {
+    const profile = buildTasteProfile([dune]);
+    const candidates = ['A', 'B', 'C'].map(title => ({ key: title, title, author_name: ['Frank Herbert'] }));
+
+    expect(rankRecommendations(candidates, profile, 2)).toHaveLength(2);
+  });
+});
+
+describe('getQuickSearches', () => {
+  it('puts recent searches first, then favourite subjects and authors, without repeats', () => {
+    const recent = [
+      { query: 'Science Fiction', type: 'subject' },
+      { query: 'title:dune', type: 'advanced' },
+      { query: 'dune', type: 'title' }
+    ];
+
+    expect(getQuickSearches(recent, buildTasteProfile([dune]), 4)).toEqual([
+      { type: 'subject', query: 'Science Fiction', label: 'Science Fiction' },
+      { type: 'title', query: 'dune', label: 'dune' },
+      { type: 'subject', query: 'desert planets', label: 'Desert Planets' },
+      { type: 'author', query: 'Frank Herbert', label: 'Frank Herbert' }
+    ]);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Cache for Open Library JSON responses keyed on the full request URL.
+ * Entries are served immediately, flagged stale after FRESH_TTL so callers can
+ * refresh them in the background, and dropped entirely after MAX_AGE. The cache
+ * is bounded by entry count and size and persisted to localStorage.
+ */
+
+const STORAGE_KEY = 'book-finder:response-cache';
+const FRESH_TTL = 5 * 60 * 1000;
+const MAX_AGE = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 40;
+const MAX_BYTES = 2 * 1024 * 1024;
+
+// Map preserves insertion order, which doubles as least-recently-used order
+let entries = null;
+
+const loadEntries = () => {
+  if (entries) return entries;
+
+  entries = new Map();
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) {
+      stored.forEach(entry => entries.set(entry.url, entry));
+    }
+  } catch (err) {
+    // Corrupt or unavailable storage; start with an empty cache
+  }
+  return entries;
+};
+
+const persistEntries = () => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(entries.values())));
+  } catch (err) {
+    // Out of quota: drop the oldest half and try once more
+    Array.from(entries.keys()).slice(0, Math.ceil(entries.size / 2)).forEach(url => entries.delete(url));
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(entries.values())));
+    } catch (retryErr) {
+      // Give up on persisting; the in-memory cache still works for this session
+    }
+  }
+};
+
+const evict = () => {
+  const now = Date.now();
+  entries.forEach((entry, url) => {
+    if (now - entry.storedAt > MAX_AGE) entries.delete(url);
+  });
+
+  let totalBytes = Array.from(entries.values()).reduce((sum, entry) => sum + entry.size, 0);
+  const urls = Array.from(entries.keys());
+  while (urls.length > 0 && (entries.size > MAX_ENTRIES || totalBytes > MAX_BYTES)) {
+    const oldest = urls.shift();
+    totalBytes -= entries.get(oldest).size;
+    entries.delete(oldest);
+  }
+};
+
+/**
+ * Looks up a cached response
+ * @param {string} url - Request URL
+ * @returns {{ data: Object, stale: boolean, storedAt: number }|null}
+ */
+export const getCachedResponse = (url) => {
+  const cache = loadEntries();
+  const entry = cache.get(url);
+  if (!entry) return null;
+
+  const age = Date.now() - entry.storedAt;
+  if (age > MAX_AGE) {
+    cache.delete(url);
+    persistEntries();
+    return null;
+  }
+
+  // Re-insert to mark as most recently used
+  cache.delete(url);
+  cache.set(url, entry);
+  return { data: entry.data, stale: age > FRESH_TTL, storedAt: entry.storedAt };
+};
+
+/**
+ * Stores a response
+ * @param {string} url - Request URL
+ * @param {Object} data - Parsed JSON response
+ */
+export const setCachedResponse = (url, data) => {
+  const cache = loadEntries();
+  const size = JSON.stringify(data).length;
+  if (size > MAX_BYTES) return;
+
+  cache.delete(url);
+  cache.set(url, { url, data, size, storedAt: Date.now() });
+  evict();
+  persistEntries();
+};
+
+/**
+ * Describes the cache contents for display, newest first
+ * @returns {{ entries: Array<{ url: string, size: number, storedAt: number, stale: boolean }>, totalBytes: number }}
+ */
+export const getCacheStats = () => {
+  const now = Date.now();
+  const list = Array.from(loadEntries().values())
+    .map(({ url, size, storedAt }) => ({ url, size, storedAt, stale: now - storedAt > FRESH_TTL }))
+    .sort((a, b) => b.storedAt - a.storedAt);
+
+  return { entries: list, totalBytes: list.reduce((sum, entry) => sum + entry.size, 0) };
+};
+
+/**
+ * Removes every cached response
+ */
+export const clearCache = () => {
+  entries = new Map();
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (err) {
+    // Nothing persisted to remove
+  }
+};
@@ -0,0 +1,88 @@
+import { getCachedResponse, setCachedResponse, getCacheStats, clearCache } from './responseCache';
+
+const MINUTE = 60 * 1000;
+const STORAGE_KEY = 'book-finder:response-cache';
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(new Date('2024-03-10T12:00:00.000Z'));
+  clearCache();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('expiry', () => {
+  it('serves fresh responses, then flags them stale after five minutes', () => {
+    setCachedResponse('/search?q=dune', { numFound: 1 });
+
+    expect(getCachedResponse('/search?q=dune')).toMatchObject({ data: { numFound: 1 }, stale: false });
+    jest.advanceTimersByTime(5 * MINUTE + 1);
+    expect(getCachedResponse('/search?q=dune')).toMatchObject({ data: { numFound: 1 }, stale: true });
+  });
+
+  it('drops responses older than a day', () => {
+    setCachedResponse('/search?q=dune', { numFound: 1 });
+    jest.advanceTimersByTime(24 * 60 * MINUTE + 1);
+
+    expect(getCachedResponse('/search?q=dune')).toBeNull();
+    expect(getCacheStats().entries).toEqual([]);
+  });
+
+  it('restarts the clock when a response is stored again', () => {
+    setCachedResponse('/search?q=dune', { numFound: 1 });
+    jest.advanceTimersByTime(10 * MINUTE);
+    setCachedResponse('/search?q=dune', { numFound: 2 });
+
+    expect(getCachedResponse('/search?q=dune')).toMatchObject({ data: { numFound: 2 }, stale: false });
+  });
+});
+
+describe('eviction', () => {
+  it('keeps the 40 most recently used responses', () => {
+    for (let i = 0; i < 40; i++) setCachedResponse(`/search?q=${i}`, { i });
+    // Reading the oldest entry makes it the most recently used
+    getCachedResponse('/search?q=0');
+    setCachedResponse('/search?q=40', { i: 40 });
+
+    expect(getCachedResponse('/search?q=0')).not.toBeNull();
+    expect(getCachedResponse('/search?q=1')).toBeNull();
+    expect(getCacheStats().entries).toHaveLength(40);
+  });
+
+  it('evicts the oldest responses to stay under 2 MB', () => {
+    const large = { text: 'x'.repeat(800 * 1024) };
+    setCachedResponse('/a', large);
+    setCachedResponse('/b', large);
+    setCachedResponse('/c', large);
+
+    expect(getCachedResponse('/a')).toBeNull();
+    expect(getCacheStats().entries.map(entry => entry.url).sort()).toEqual(['/b', '/c']);
+  });
+
+  it('does not cache a response larger than the whole cache', () => {
+    setCachedResponse('/huge', { text: 'x'.repeat(2 * 1024 * 1024) });
+
+    expect(getCachedResponse('/huge')).toBeNull();
+  });
+});
+
+describe('persistence', () => {
+  it('reloads stored responses in a new session', () => {
+    setCachedResponse('/search?q=dune', { numFound: 1 });
+
+    jest.isolateModules(() => {
+      const { getCachedResponse: getFromNewSession } = require('./responseCache');
+      expect(getFromNewSession('/search?q=dune')).toMatchObject({ data: { numFound: 1 } });
+    });
+  });
+
+  it('removes the stored responses when cleared', () => {
+    setCachedResponse('/search?q=dune', { numFound: 1 });
+    clearCache();
+
+    expect(window.localStorage.getItem(STORAGE_KEY)).toBeNull();
+    expect(getCacheStats()).toEqual({ entries: [], totalBytes: 0 });
+  });
+});
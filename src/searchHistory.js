@@ -0,0 +1,120 @@
+/**
+ * Executed search history and named saved searches. A search is
+ * { query, type, filters, sort }; history entries add id, executedAt and numFound.
+ * Saved searches remember numFound and the top result keys of their last run, so
+ * the next run can point out works that weren't there before.
+ */
+
+import { EMPTY_FILTERS } from './urlState';
+import { SORT_OPTIONS, DEFAULT_SORT } from './sortOptions';
+
+const MAX_HISTORY = 50;
+
+const generateId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Identity of a search: the same query (ignoring case and surrounding spaces),
+ * type, non-empty filters and sort
+ * @param {Object} search - { query, type, filters, sort }
+ */
+export const getSearchSignature = ({ query, type, filters = EMPTY_FILTERS, sort }) => {
+  const activeFilters = Object.keys(filters).sort()
+    .filter(field => filters[field])
+    .map(field => [field, filters[field]]);
+  return JSON.stringify([query.trim().toLowerCase(), type, activeFilters, sort]);
+};
+
+const toSearch = ({ query, type, filters = EMPTY_FILTERS, sort }) => ({
+  query: query.trim(),
+  type,
+  filters: { ...EMPTY_FILTERS, ...filters },
+  sort
+});
+
+/**
+ * Adds an executed search to the front of the history, replacing an earlier run of the same search
+ * @param {Array} history - Current history, newest first
+ * @param {Object} search - { query, type, filters, sort }
+ * @param {number} numFound - Total results reported for the search
+ */
+export const recordSearch = (history, search, numFound) => {
+  const signature = getSearchSignature(search);
+  const entry = { id: generateId('search'), ...toSearch(search), numFound, executedAt: new Date().toISOString() };
+  return [entry, ...history.filter(item => getSearchSignature(item) !== signature)].slice(0, MAX_HISTORY);
+};
+
+const getDocKeys = (docs) => docs.map(doc => doc.key || doc.title);
+
+/**
+ * Creates a named saved search
+ * @param {Object} search - { query, type, filters, sort }
+ * @param {string} name - Name shown in the saved searches list
+ * @param {Object} lastRun - { numFound, docs } of the run on screen, used as the baseline
+ * for the next run; null if the search hasn't been run
+ */
+export const createSavedSearch = (search, name, lastRun = null) => ({
+  id: generateId('saved'),
+  name: name.trim() || search.query.trim(),
+  ...toSearch(search),
+  createdAt: new Date().toISOString(),
+  lastRunAt: lastRun ? new Date().toISOString() : null,
+  numFound: lastRun ? lastRun.numFound : null,
+  topKeys: lastRun ? getDocKeys(lastRun.docs) : [],
+  newCount: 0
+});
+
+/**
+ * Finds the saved search matching a search, if any
+ * @param {Array} savedSearches - Saved searches
+ * @param {Object} search - { query, type, filters, sort }
+ */
+export const findSavedSearch = (savedSearches, search) => {
+  const signature = getSearchSignature(search);
+  return savedSearches.find(saved => getSearchSignature(saved) === signature) || null;
+};
+
+/**
+ * Keys of docs that weren't among the saved search's top results last time.
+ * Empty for a search that has never run, since everything would count as new.
+ * @param {Object} savedSearch - Saved search
+ * @param {Array} docs - First page of results from this run
+ */
+export const getNewResultKeys = (savedSearch, docs) => {
+  if (!savedSearch.lastRunAt) return [];
+  const previous = new Set(savedSearch.topKeys);
+  return getDocKeys(docs).filter(key => !previous.has(key));
+};
+
+/**
+ * Records a run of a saved search: its numFound, top keys and how many were new
+ * @param {Array} savedSearches - Saved searches
+ * @param {string} savedSearchId - Id of the search that ran
+ * @param {number} numFound - Total results reported for the run
+ * @param {Array} docs - First page of results
+ */
+export const recordSavedSearchRun = (savedSearches, savedSearchId, numFound, docs) => savedSearches.map(saved => (
+  saved.id === savedSearchId
+    ? {
+      ...saved,
+      lastRunAt: new Date().toISOString(),
+      previousNumFound: saved.numFound,
+      numFound,
+      topKeys: getDocKeys(docs),
+      newCount: getNewResultKeys(saved, docs).length
+    }
+    : saved
+));
+
+/**
+ * Short description of a search's type, filters and sort for list entries
+ * @param {Object} search - { type, filters, sort }
+ */
+export const describeSearch = ({ type, filters = EMPTY_FILTERS, sort }) => {
+  const parts = [type];
+  Object.keys(filters).forEach(field => {
+    if (filters[field]) parts.push(field === 'readable' ? 'readable only' : `${field}: ${filters[field]}`);
+  });
+  const sortOption = SORT_OPTIONS.find(option => option.value === sort);
+  if (sortOption && sort !== DEFAULT_SORT) parts.push(`sorted by ${sortOption.label}`);
+  return parts.join(' • ');
+};
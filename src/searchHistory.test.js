@@ -0,0 +1,92 @@
+import {
+  getSearchSignature,
+  recordSearch,
+  createSavedSearch,
+  findSavedSearch,
+  getNewResultKeys,
+  recordSavedSearchRun,
+  describeSearch
+} from './searchHistory';
+import { EMPTY_FILTERS } from './urlState';
+
+const search = (query, extra = {}) => ({ query, type: 'title', filters: EMPTY_FILTERS, sort: 'relevance', ...extra });
+const docs = (...keys) => keys.map(key => ({ key }));
+
+describe('getSearchSignature', () => {
+  it('ignores case, surrounding spaces and empty filters', () => {
+    expect(getSearchSignature(search('  Dune '))).toBe(getSearchSignature(search('dune', { filters: { language: '' } })));
+  });
+
+  it('tells apart type, filters and sort', () => {
+    const base = getSearchSignature(search('dune'));
+    expect(getSearchSignature(search('dune', { type: 'subject' }))).not.toBe(base);
+    expect(getSearchSignature(search('dune', { filters: { ...EMPTY_FILTERS, language: 'eng' } }))).not.toBe(base);
+    expect(getSearchSignature(search('dune', { sort: 'new' }))).not.toBe(base);
+  });
+});
+
+describe('recordSearch', () => {
+  it('adds the newest search first and replaces an earlier run of it', () => {
+    let history = recordSearch([], search('dune'), 10);
+    history = recordSearch(history, search('emma'), 5);
+    history = recordSearch(history, search('DUNE '), 12);
+
+    expect(history.map(entry => [entry.query, entry.numFound])).toEqual([['DUNE', 12], ['emma', 5]]);
+    expect(history[0].filters).toEqual(EMPTY_FILTERS);
+    expect(typeof history[0].executedAt).toBe('string');
+  });
+
+  it('keeps at most 50 searches', () => {
+    let history = [];
+    for (let i = 0; i < 55; i++) history = recordSearch(history, search(`query ${i}`), i);
+
+    expect(history).toHaveLength(50);
+    expect(history[0].query).toBe('query 54');
+    expect(history[49].query).toBe('query 5');
+  });
+});
+
+describe('saved searches', () => {
+  it('uses the query as the name when none is given', () => {
+    expect(createSavedSearch(search('dune'), '  ').name).toBe('dune');
+  });
+
+  it('finds the saved search matching a search', () => {
+    const saved = createSavedSearch(search('dune'), 'Dune');
+
+    expect(findSavedSearch([saved], search('Dune'))).toBe(saved);
+    expect(findSavedSearch([saved], search('dune', { type: 'author' }))).toBeNull();
+  });
+
+  it('flags nothing as new before the first run', () => {
+    expect(getNewResultKeys(createSavedSearch(search('dune'), 'Dune'), docs('a', 'b'))).toEqual([]);
+  });
+
+  it('flags works that were not in the last run', () => {
+    const saved = createSavedSearch(search('dune'), 'Dune', { numFound: 2, docs: docs('a', 'b') });
+
+    expect(getNewResultKeys(saved, docs('b', 'c', 'd'))).toEqual(['c', 'd']);
+  });
+
+  it('records a run as the baseline for the next one', () => {
+    const saved = createSavedSearch(search('dune'), 'Dune', { numFound: 2, docs: docs('a', 'b') });
+    const other = createSavedSearch(search('emma'), 'Emma');
+
+    const [updated, untouched] = recordSavedSearchRun([saved, other], saved.id, 3, docs('a', 'b', 'c'));
+
+    expect(updated).toMatchObject({ numFound: 3, previousNumFound: 2, topKeys: ['a', 'b', 'c'], newCount: 1 });
+    expect(untouched).toBe(other);
+  });
+});
+
+describe('describeSearch', () => {
+  it('lists the type, active filters and a non-default sort', () => {
+    const description = describeSearch(search('dune', {
+      filters: { ...EMPTY_FILTERS, language: 'eng', readable: 'true' },
+      sort: 'new'
+    }));
+
+    expect(description).toBe('title • language: eng • readable only • sorted by Newest');
+    expect(describeSearch(search('dune'))).toBe('title');
+  });
+});
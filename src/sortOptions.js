@@ -0,0 +1,47 @@
+/**
+ * Result sort modes. `apiSort` is the Open Library `sort` parameter for the
+ * mode, or null when the API's default relevance order is used.
+ */
+export const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance', apiSort: null },
+  { value: 'new', label: 'Newest', apiSort: 'new' },
+  { value: 'old', label: 'Oldest', apiSort: 'old' },
+  { value: 'title', label: 'Title A–Z', apiSort: 'title' },
+  { value: 'editions', label: 'Most Editions', apiSort: 'editions' },
+  { value: 'rating', label: 'Highest Rated', apiSort: 'rating' }
+];
+
+export const DEFAULT_SORT = 'relevance';
+
+/**
+ * Returns the Open Library sort parameter for a sort mode
+ * @param {string} sort - Sort mode value
+ */
+export const getApiSort = (sort) => {
+  const option = SORT_OPTIONS.find(o => o.value === sort);
+  return option ? option.apiSort : null;
+};
+
+// Compares numbers descending, keeping books without a value at the end
+const byNumberDesc = (field) => (a, b) => (b[field] || 0) - (a[field] || 0);
+
+const COMPARATORS = {
+  new: (a, b) => (b.first_publish_year || -Infinity) - (a.first_publish_year || -Infinity),
+  old: (a, b) => (a.first_publish_year || Infinity) - (b.first_publish_year || Infinity),
+  title: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' }),
+  editions: byNumberDesc('edition_count'),
+  rating: byNumberDesc('ratings_average')
+};
+
+/**
+ * Sorts loaded books client-side so every loaded page follows the chosen order
+ * @param {Array} books - Loaded search docs
+ * @param {string} sort - Sort mode value
+ * @returns {Array} A sorted copy, or the original array for relevance order
+ */
+export const sortBooks = (books, sort) => {
+  const compare = COMPARATORS[sort];
+  if (!compare) return books;
+  // Array.prototype.sort is stable, so ties keep their relevance order
+  return [...books].sort(compare);
+};
@@ -0,0 +1,54 @@
+import { SORT_OPTIONS, getApiSort, sortBooks } from './sortOptions';
+
+const books = [
+  { title: 'dune', first_publish_year: 1965, edition_count: 120, ratings_average: 4.3 },
+  { title: 'Emma', first_publish_year: 1815, edition_count: 900 },
+  { title: 'anathem', edition_count: 12, ratings_average: 4.1 },
+  { title: 'Beloved', first_publish_year: 1987, ratings_average: 4.3 }
+];
+
+const titles = (list) => list.map(book => book.title);
+
+describe('getApiSort', () => {
+  it('maps each sort mode to its Open Library sort parameter', () => {
+    expect(SORT_OPTIONS.map(option => [option.value, getApiSort(option.value)])).toEqual([
+      ['relevance', null],
+      ['new', 'new'],
+      ['old', 'old'],
+      ['title', 'title'],
+      ['editions', 'editions'],
+      ['rating', 'rating']
+    ]);
+  });
+
+  it('has no API sort for unknown modes', () => {
+    expect(getApiSort('random')).toBeNull();
+  });
+});
+
+describe('sortBooks', () => {
+  it('keeps relevance order', () => {
+    expect(sortBooks(books, 'relevance')).toBe(books);
+  });
+
+  it('sorts by publish year with undated books last', () => {
+    expect(titles(sortBooks(books, 'new'))).toEqual(['Beloved', 'dune', 'Emma', 'anathem']);
+    expect(titles(sortBooks(books, 'old'))).toEqual(['Emma', 'dune', 'Beloved', 'anathem']);
+  });
+
+  it('sorts titles alphabetically, ignoring case', () => {
+    expect(titles(sortBooks(books, 'title'))).toEqual(['anathem', 'Beloved', 'dune', 'Emma']);
+  });
+
+  it('puts the most editions and highest ratings first, keeping ties in relevance order', () => {
+    expect(titles(sortBooks(books, 'editions'))).toEqual(['Emma', 'dune', 'anathem', 'Beloved']);
+    expect(titles(sortBooks(books, 'rating'))).toEqual(['dune', 'Beloved', 'anathem', 'Emma']);
+  });
+
+  it('returns a copy instead of sorting in place', () => {
+    const sorted = sortBooks(books, 'title');
+
+    expect(sorted).not.toBe(books);
+    expect(titles(books)).toEqual(['dune', 'Emma', 'anathem', 'Beloved']);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Persistent storage for the user's saved lists (bookmarks, reading list).
+ * Lists are written to IndexedDB when it is available and to localStorage
+ * otherwise. Every record carries a schema version so stored data can be
+ * migrated forward, and writes are broadcast so other open tabs stay in sync.
+ */
+
+import { withReadingDefaults } from './readingStatus';
+import { migrateBookmarks } from './collections';
+
+export const SCHEMA_VERSION = 2;
+
+const DB_NAME = 'book-finder';
+const DB_VERSION = 1;
+const STORE_NAME = 'lists';
+const LOCAL_STORAGE_PREFIX = 'book-finder:';
+const CHANNEL_NAME = 'book-finder-storage';
+
+/**
+ * Migrations keyed by the schema version they upgrade a record to.
+ * Each one receives the record at the previous version and returns it upgraded.
+ */
+const migrations = {
+  // Version 1 introduced the { name, version, items, updatedAt } envelope
+  1: (record) => ({ ...record, items: Array.isArray(record.items) ? record.items : [] }),
+  // Version 2 added status, progress, dates and rating to reading list entries
+  2: (record) => (record.name === 'readingList'
+    ? { ...record, items: record.items.map(withReadingDefaults) }
+    : record)
+};
+
+/**
+ * Builders for lists that replaced older ones. When such a list has never been
+ * saved, its first contents are derived from the list it replaces.
+ */
+const initialLists = {
+  // Named collections replaced the flat bookmarks list; bookmarks become the default collection
+  collections: async () => migrateBookmarks(await loadList('bookmarks'))
+};
+
+/**
+ * Upgrades a stored record to the current schema version
+ * @param {Object|Array} record - Raw record read from storage
+ * @param {string} name - List name the record belongs to
+ */
+export const migrateRecord = (record, name) => {
+  let current = Array.isArray(record)
+    ? { name, version: 0, items: record }
+    : { name, version: 0, items: [], ...record };
+
+  while (current.version < SCHEMA_VERSION) {
+    const nextVersion = current.version + 1;
+    const migrate = migrations[nextVersion];
+    current = { ...(migrate ? migrate(current) : current), version: nextVersion };
+  }
+
+  return current;
+};
+
+let dbPromise = null;
+
+/**
+ * Opens (and creates on first use) the IndexedDB database.
+ * Resolves to null when IndexedDB is unavailable so callers can fall back.
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'name' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    } catch (err) {
+      // Private browsing modes can throw synchronously
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+};
+
+const readFromIndexedDB = (db, name) => new Promise((resolve, reject) => {
+  const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(name);
+  request.onsuccess = () => resolve(request.result || null);
+  request.onerror = () => reject(request.error);
+});
+
+const writeToIndexedDB = (db, record) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).put(record);
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+});
+
+const readFromLocalStorage = (name) => {
+  try {
+    const raw = window.localStorage.getItem(LOCAL_STORAGE_PREFIX + name);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const writeToLocalStorage = (record) => {
+  try {
+    window.localStorage.setItem(LOCAL_STORAGE_PREFIX + record.name, JSON.stringify(record));
+  } catch (err) {
+    // Quota exceeded or storage disabled; nothing more we can do
+  }
+};
+
+const persistRecord = async (record) => {
+  const db = await openDatabase();
+  if (db) {
+    try {
+      await writeToIndexedDB(db, record);
+      return;
+    } catch (err) {
+      // Fall through to localStorage
+    }
+  }
+  writeToLocalStorage(record);
+};
+
+/**
+ * Loads a saved list, migrating it to the current schema if needed
+ * @param {string} name - List name, e.g. 'bookmarks' or 'readingList'
+ * @returns {Promise<Array>} The stored items, or an empty array
+ */
+export const loadList = async (name) => {
+  const db = await openDatabase();
+  let record = null;
+
+  if (db) {
+    try {
+      record = await readFromIndexedDB(db, name);
+    } catch (err) {
+      record = null;
+    }
+  }
+
+  // Fall back to localStorage, which also picks up data saved before IndexedDB was available
+  if (!record) {
+    record = readFromLocalStorage(name);
+  }
+
+  if (!record) {
+    if (!initialLists[name]) return [];
+    const items = await initialLists[name]();
+    await persistRecord({ name, version: SCHEMA_VERSION, items, updatedAt: new Date().toISOString() });
+    return items;
+  }
+
+  const migrated = migrateRecord(record, name);
+  if (migrated.version !== record.version) {
+    await persistRecord(migrated);
+  }
+  return migrated.items;
+};
+
+let channel = null;
+
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+};
+
+/**
+ * Saves a list and notifies other tabs that it changed
+ * @param {string} name - List name
+ * @param {Array} items - Items to store
+ */
+export const saveList = async (name, items) => {
+  const record = { name, version: SCHEMA_VERSION, items, updatedAt: new Date().toISOString() };
+  await persistRecord(record);
+
+  const broadcast = getChannel();
+  if (broadcast) {
+    broadcast.postMessage({ name });
+  }
+};
+
+/**
+ * Subscribes to changes of a list made in other tabs
+ * @param {string} name - List name to watch
+ * @param {Function} callback - Called with the updated items
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (name, callback) => {
+  const broadcast = getChannel();
+
+  if (broadcast) {
+    const handleMessage = (event) => {
+      if (event.data && event.data.name === name) {
+        loadList(name).then(callback);
+      }
+    };
+    broadcast.addEventListener('message', handleMessage);
+    return () => broadcast.removeEventListener('message', handleMessage);
+  }
+
+  // Without BroadcastChannel only localStorage writes can be observed across tabs
+  const handleStorage = (event) => {
+    if (event.key === LOCAL_STORAGE_PREFIX + name) {
+      loadList(name).then(callback);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
@@ -0,0 +1,89 @@
+import { SCHEMA_VERSION, migrateRecord, loadList, saveList } from './storage';
+
+describe('migrateRecord', () => {
+  it('wraps a bare array from before the envelope and upgrades it', () => {
+    const record = migrateRecord([{ key: '/works/OL1W', title: 'Dune' }], 'bookmarks');
+
+    expect(record).toEqual({
+      name: 'bookmarks',
+      version: SCHEMA_VERSION,
+      items: [{ key: '/works/OL1W', title: 'Dune' }]
+    });
+  });
+
+  it('adds reading defaults to version 1 reading list entries', () => {
+    const record = migrateRecord({
+      name: 'readingList',
+      version: 1,
+      items: [{ key: '/works/OL1W', title: 'Dune', number_of_pages_median: 412 }]
+    }, 'readingList');
+
+    expect(record.version).toBe(SCHEMA_VERSION);
+    expect(record.items[0]).toEqual({
+      key: '/works/OL1W',
+      title: 'Dune',
+      number_of_pages_median: 412,
+      status: 'want-to-read',
+      currentPage: 0,
+      pageCount: 412,
+      startedDate: null,
+      finishedDate: null,
+      rating: null
+    });
+  });
+
+  it('keeps reading progress that is already stored', () => {
+    const record = migrateRecord({
+      name: 'readingList',
+      version: 1,
+      items: [{ key: '/works/OL1W', status: 'finished', currentPage: 412 }]
+    }, 'readingList');
+
+    expect(record.items[0].status).toBe('finished');
+    expect(record.items[0].currentPage).toBe(412);
+  });
+
+  it('replaces missing items with an empty list', () => {
+    expect(migrateRecord({ name: 'bookmarks', version: 0 }, 'bookmarks').items).toEqual([]);
+  });
+
+  it('leaves current records unchanged', () => {
+    const record = { name: 'bookmarks', version: SCHEMA_VERSION, items: [{ key: 'a' }] };
+    expect(migrateRecord(record, 'bookmarks')).toEqual(record);
+  });
+});
+
+describe('loadList and saveList', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('returns an empty list when nothing is stored', async () => {
+    await expect(loadList('readingList')).resolves.toEqual([]);
+  });
+
+  it('reads back what was saved', async () => {
+    await saveList('readingList', [{ key: '/works/OL1W', status: 'reading' }]);
+
+    await expect(loadList('readingList')).resolves.toEqual([{ key: '/works/OL1W', status: 'reading' }]);
+  });
+
+  it('migrates and rewrites an old stored record', async () => {
+    window.localStorage.setItem('book-finder:readingList', JSON.stringify([{ key: '/works/OL1W' }]));
+
+    const items = await loadList('readingList');
+
+    expect(items[0].status).toBe('want-to-read');
+    expect(JSON.parse(window.localStorage.getItem('book-finder:readingList')).version).toBe(SCHEMA_VERSION);
+  });
+
+  it('builds collections from old bookmarks the first time they load', async () => {
+    await saveList('bookmarks', [{ key: '/works/OL1W', title: 'Dune' }]);
+
+    const collections = await loadList('collections');
+
+    expect(collections).toHaveLength(1);
+    expect(collections[0].name).toBe('Bookmarks');
+    expect(collections[0].books.map(book => book.key)).toEqual(['/works/OL1W']);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Serialization of the app's navigation and search state to and from the URL,
+ * so searches can be shared, bookmarked and walked through with browser history
+ */
+
+import { SORT_OPTIONS, DEFAULT_SORT } from './sortOptions';
+import { PAGE_SIZES, DEFAULT_PAGE_SIZE } from './paging';
+
+export const VIEW_PATHS = {
+  search: '/',
+  collections: '/collections',
+  'reading-list': '/reading-list'
+};
+
+export const EMPTY_FILTERS = {
+  yearFrom: '',
+  yearTo: '',
+  language: '',
+  subject: '',
+  author: '',
+  publisher: '',
+  readable: ''
+};
+
+// Paths from earlier versions that still resolve to a view
+const LEGACY_VIEW_PATHS = {
+  '/bookmarks': 'collections'
+};
+
+const AUTHOR_PATH_PATTERN = /^\/authors\/(OL\d+A)$/;
+const COLLECTION_PATH_PATTERN = /^\/collections\/([\w-]+)$/;
+
+/**
+ * Returns the path of an author's profile page
+ * @param {string} authorKey - Author key, e.g. 'OL23919A' or '/authors/OL23919A'
+ */
+export const authorPath = (authorKey) => `/authors/${String(authorKey).split('/').pop()}`;
+
+/**
+ * Returns the path of a collection page
+ * @param {string} collectionId - Collection id
+ */
+export const collectionPath = (collectionId) => `/collections/${encodeURIComponent(collectionId)}`;
+
+const SEARCH_TYPES = ['title', 'author', 'subject', 'isbn', 'advanced'];
+
+// Short query-string names for each filter field
+const FILTER_PARAMS = {
+  yearFrom: 'from',
+  yearTo: 'to',
+  language: 'lang',
+  subject: 'subject',
+  author: 'author',
+  publisher: 'publisher',
+  readable: 'readable'
+};
+
+/**
+ * Reads the view and search state from a location
+ * @param {Location} location - Usually window.location
+ * @returns {{ view: string, authorKey: string, collectionId: string, query: string, type: string, filters: Object, sort: string, page: number, pageSize: number }}
+ */
+export const parseLocation = (location) => {
+  const params = new URLSearchParams(location.search);
+  const path = location.pathname.replace(/\/+$/, '') || '/';
+  const authorMatch = path.match(AUTHOR_PATH_PATTERN);
+  const collectionMatch = path.match(COLLECTION_PATH_PATTERN);
+  let view = Object.keys(VIEW_PATHS).find(name => VIEW_PATHS[name] === path) || LEGACY_VIEW_PATHS[path] || 'search';
+  if (authorMatch) view = 'author';
+  if (collectionMatch) view = 'collection';
+  const type = params.get('type');
+  const page = parseInt(params.get('page'), 10);
+  const sort = params.get('sort');
+  const pageSize = parseInt(params.get('size'), 10);
+
+  const filters = { ...EMPTY_FILTERS };
+  Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+    filters[field] = params.get(param) || '';
+  });
+
+  return {
+    view,
+    authorKey: authorMatch ? authorMatch[1] : null,
+    collectionId: collectionMatch ? decodeURIComponent(collectionMatch[1]) : null,
+    query: params.get('q') || '',
+    type: SEARCH_TYPES.includes(type) ? type : 'title',
+    filters,
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? sort : DEFAULT_SORT,
+    page: page > 0 ? page : 1,
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULT_PAGE_SIZE
+  };
+};
+
+/**
+ * Builds the URL for a view and search state. Default values are left out to keep links short.
+ * @param {Object} state - { view, authorKey, collectionId, query, type, filters, sort, page, pageSize }
+ */
+export const buildUrl = ({ view = 'search', authorKey, collectionId, query = '', type = 'title', filters = EMPTY_FILTERS, sort = DEFAULT_SORT, page = 1, pageSize = DEFAULT_PAGE_SIZE }) => {
+  const params = new URLSearchParams();
+
+  if (query) {
+    params.set('q', query);
+    if (type !== 'title') params.set('type', type);
+    Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+      if (filters[field]) params.set(param, filters[field]);
+    });
+    if (sort !== DEFAULT_SORT) params.set('sort', sort);
+    if (page > 1) params.set('page', String(page));
+    if (pageSize !== DEFAULT_PAGE_SIZE) params.set('size', String(pageSize));
+  }
+
+  const queryString = params.toString();
+  let path = VIEW_PATHS[view] || '/';
+  if (view === 'author') path = authorPath(authorKey);
+  if (view === 'collection') path = collectionPath(collectionId);
+  return `${path}${queryString ? `?${queryString}` : ''}`;
+};
@@ -0,0 +1,82 @@
+import { parseLocation, buildUrl, authorPath, collectionPath, EMPTY_FILTERS } from './urlState';
+
+// Splits a built URL back into the pathname/search pair parseLocation reads
+const toLocation = (url) => {
+  const [pathname, search = ''] = url.split('?');
+  return { pathname, search: search ? `?${search}` : '' };
+};
+
+describe('parseLocation', () => {
+  it('falls back to a blank title search', () => {
+    expect(parseLocation({ pathname: '/', search: '' })).toEqual({
+      view: 'search',
+      authorKey: null,
+      collectionId: null,
+      query: '',
+      type: 'title',
+      filters: EMPTY_FILTERS,
+      sort: 'relevance',
+      page: 1,
+      pageSize: 12
+    });
+  });
+
+  it('ignores values it does not know', () => {
+    expect(parseLocation({ pathname: '/', search: '?q=dune&type=genre&sort=random&page=-2&size=13' })).toMatchObject({
+      query: 'dune',
+      type: 'title',
+      sort: 'relevance',
+      page: 1,
+      pageSize: 12
+    });
+  });
+
+  it('reads author, collection and legacy bookmark paths', () => {
+    expect(parseLocation({ pathname: '/authors/OL23919A', search: '' })).toMatchObject({ view: 'author', authorKey: 'OL23919A' });
+    expect(parseLocation({ pathname: '/collections/to-buy', search: '' })).toMatchObject({ view: 'collection', collectionId: 'to-buy' });
+    expect(parseLocation({ pathname: '/bookmarks/', search: '' }).view).toBe('collections');
+    expect(parseLocation({ pathname: '/nowhere', search: '' }).view).toBe('search');
+  });
+});
+
+describe('buildUrl', () => {
+  it('leaves out default values', () => {
+    expect(buildUrl({ query: 'dune' })).toBe('/?q=dune');
+    expect(buildUrl({ view: 'reading-list' })).toBe('/reading-list');
+  });
+
+  it('drops the search state when there is no query', () => {
+    expect(buildUrl({ view: 'collections', type: 'author', page: 3 })).toBe('/collections');
+  });
+
+  it('builds author and collection paths', () => {
+    expect(authorPath('/authors/OL23919A')).toBe('/authors/OL23919A');
+    expect(collectionPath('a b')).toBe('/collections/a%20b');
+    expect(buildUrl({ view: 'author', authorKey: 'OL23919A' })).toBe('/authors/OL23919A');
+  });
+});
+
+describe('round trips', () => {
+  const states = [
+    { view: 'search', query: 'dune', type: 'title', filters: EMPTY_FILTERS, sort: 'relevance', page: 1, pageSize: 12 },
+    {
+      view: 'search',
+      query: 'title:(lord rings) AND author_name:"Tolkien"',
+      type: 'advanced',
+      filters: { ...EMPTY_FILTERS, yearFrom: '1950', yearTo: '1960', language: 'eng', readable: 'true' },
+      sort: 'new',
+      page: 3,
+      pageSize: 48
+    },
+    { view: 'collection', collectionId: 'sci-fi', query: 'ursula & co', type: 'author', filters: { ...EMPTY_FILTERS, publisher: 'Ace' }, sort: 'title', page: 2, pageSize: 24 },
+    { view: 'author', authorKey: 'OL23919A', query: '', type: 'title', filters: EMPTY_FILTERS, sort: 'relevance', page: 1, pageSize: 12 }
+  ];
+
+  it.each(states)('keeps the state of $view views through the URL', (state) => {
+    expect(parseLocation(toLocation(buildUrl(state)))).toEqual({
+      authorKey: null,
+      collectionId: null,
+      ...state
+    });
+  });
+});
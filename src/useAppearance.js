@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { getAppearance, saveAppearance, applyAppearance, getDarkModeQuery } from './appearance';
+
+/**
+ * Keeps the color mode and theme applied to the document and persisted, and follows
+ * OS dark mode changes while the mode is 'system'
+ * @returns {Array} [appearance, setAppearance]
+ */
+const useAppearance = () => {
+  const [appearance, setAppearance] = useState(getAppearance);
+
+  useEffect(() => {
+    applyAppearance(appearance);
+    saveAppearance(appearance);
+  }, [appearance]);
+
+  useEffect(() => {
+    const query = getDarkModeQuery();
+    if (appearance.mode !== 'system' || !query) return undefined;
+
+    const handleChange = () => applyAppearance(appearance);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, [appearance]);
+
+  return [appearance, setAppearance];
+};
+
+export default useAppearance;
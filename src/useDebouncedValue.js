@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Returns the value once it has stopped changing for the given delay
+ * @param {*} value - Value to debounce
+ * @param {number} delay - Quiet period in milliseconds
+ */
+const useDebouncedValue = (value, delay) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+export default useDebouncedValue;
@@ -0,0 +1,30 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Calls onLoadMore whenever the returned sentinel element scrolls into (or near) view
+ * @param {Function} onLoadMore - Function that loads the next page
+ * @param {boolean} enabled - Whether loading more is currently allowed
+ * @param {string} rootMargin - How far ahead of the viewport to start loading
+ * @returns {Object} Ref to attach to the sentinel element below the results
+ */
+const useInfiniteScroll = (onLoadMore, enabled, rootMargin = '800px') => {
+  const sentinelRef = useRef(null);
+  // Kept in a ref so the observer isn't recreated for every new callback
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) onLoadMoreRef.current();
+    }, { rootMargin });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled, rootMargin]);
+
+  return sentinelRef;
+};
+
+export default useInfiniteScroll;
@@ -0,0 +1,58 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Modal dialog behaviour: moves focus into the dialog and locks page scroll while
+ * it's open (restoring both on close), closes on Escape and keeps Tab / Shift+Tab
+ * cycling inside the dialog
+ * @param {Object} dialogRef - Ref to the dialog element
+ * @param {Object} initialFocusRef - Ref to the element focused on open
+ * @param {Function} onClose - Function to close the dialog
+ */
+const useModalDialog = (dialogRef, initialFocusRef, onClose) => {
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    if (initialFocusRef.current) initialFocusRef.current.focus();
+
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      // Don't let restoring focus scroll the page away from where the user left it
+      if (previouslyFocused && previouslyFocused.focus) previouslyFocused.focus({ preventScroll: true });
+    };
+  }, [initialFocusRef]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+        return;
+      }
+
+      if (e.key !== 'Tab' || !dialogRef.current) return;
+
+      const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR));
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (!dialogRef.current.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [dialogRef, onClose]);
+};
+
+export default useModalDialog;
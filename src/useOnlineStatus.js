@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+import { isOffline } from './offline';
+
+/**
+ * Tracks whether the browser is online
+ * @returns {boolean} False while the browser reports no connection
+ */
+const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => !isOffline());
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return online;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { loadList, saveList, subscribe } from './storage';
+
+/**
+ * Drop-in replacement for useState([]) that persists the list through the
+ * storage module and picks up changes made in other tabs
+ * @param {string} name - Storage name of the list
+ * @returns {[Array, Function, boolean]} The list, its setter (accepts updater functions)
+ * and whether the stored list has been loaded yet
+ */
+const usePersistentList = (name) => {
+  const [items, setItems] = useState([]);
+  const [hydrated, setHydrated] = useState(false);
+  // Set when items came from storage, so the save effect doesn't write them straight back
+  const skipNextSave = useRef(false);
+  // Updates made before the stored list arrived, replayed on top of it once it does
+  const loadedRef = useRef(false);
+  const pendingUpdates = useRef([]);
+
+  const setList = useCallback(update => {
+    if (!loadedRef.current) pendingUpdates.current.push(update);
+    setItems(update);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadedRef.current = false;
+    pendingUpdates.current = [];
+
+    loadList(name).then(stored => {
+      if (cancelled) return;
+      const pending = pendingUpdates.current;
+      pendingUpdates.current = [];
+      loadedRef.current = true;
+      // Only skip the save when nothing changed locally, otherwise the merged list must be written
+      skipNextSave.current = pending.length === 0;
+      setItems(pending.reduce((list, update) => (typeof update === 'function' ? update(list) : update), stored));
+      setHydrated(true);
+    });
+
+    const unsubscribe = subscribe(name, stored => {
+      if (cancelled) return;
+      skipNextSave.current = true;
+      setItems(stored);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [name]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    if (skipNextSave.current) {
+      skipNextSave.current = false;
+      return;
+    }
+    saveList(name, items);
+  }, [name, items, hydrated]);
+
+  return [items, setList, hydrated];
+};
+
+export default usePersistentList;
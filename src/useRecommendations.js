@@ -0,0 +1,69 @@
+import { useState, useEffect, useMemo } from 'react';
+import openLibrary, { buildSearchUrl } from './openLibrary';
+import { getCachedResponse, setCachedResponse } from './responseCache';
+import { getAllSavedBooks } from './collections';
+import { buildTasteProfile, getCandidateSearches, rankRecommendations } from './recommendations';
+
+const CANDIDATES_PER_SEARCH = 20;
+
+/**
+ * Loads and ranks recommendations for the user's saved books. Candidate searches
+ * only rerun when the strongest subjects/authors change, and go through the response cache.
+ * @param {Array} collections - Named collections
+ * @param {Array} readingList - Reading list entries
+ * @returns {{ recommendations: Array, profile: Object, loading: boolean }}
+ */
+const useRecommendations = (collections, readingList) => {
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const profile = useMemo(
+    () => buildTasteProfile([...getAllSavedBooks(collections), ...readingList]),
+    [collections, readingList]
+  );
+  const searchesKey = JSON.stringify(getCandidateSearches(profile));
+
+  useEffect(() => {
+    const searches = JSON.parse(searchesKey);
+    if (searches.length === 0) {
+      // The previous load (if any) was aborted by its cleanup and won't reset loading itself
+      setCandidates([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const loadSearch = async (params) => {
+      const url = buildSearchUrl(params);
+      const cached = getCachedResponse(url);
+      if (cached && !cached.stale) return cached.data.docs || [];
+      try {
+        const data = await openLibrary.searchBooks(params, { signal: controller.signal });
+        setCachedResponse(url, data);
+        return data.docs || [];
+      } catch (err) {
+        // Offline or failing: fall back to whatever is cached
+        if (err.name === 'AbortError') throw err;
+        return cached ? cached.data.docs || [] : [];
+      }
+    };
+
+    setLoading(true);
+    Promise.all(searches.map(search => loadSearch({ ...search, limit: CANDIDATES_PER_SEARCH })))
+      .then(results => {
+        setCandidates(results.flat());
+        setLoading(false);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [searchesKey]);
+
+  const recommendations = useMemo(() => rankRecommendations(candidates, profile), [candidates, profile]);
+
+  return { recommendations, profile, loading };
+};
+
+export default useRecommendations;
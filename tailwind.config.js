@@ -1,47 +1,85 @@
+const plugin = require('tailwindcss/plugin');
+
+// Configured palettes. Named themes (below) assign them to the primary/secondary/accent
+// roles, so every `primary-*` class follows the active theme.
+const palettes = {
+  sky: {
+    50: '#f0f9ff',
+    100: '#e0f2fe',
+    200: '#bae6fd',
+    300: '#7dd3fc',
+    400: '#38bdf8',
+    500: '#0ea5e9',
+    600: '#0284c7',
+    700: '#0369a1',
+    800: '#075985',
+    900: '#0c4a6e',
+  },
+  fuchsia: {
+    50: '#fdf4ff',
+    100: '#fae8ff',
+    200: '#f5d0fe',
+    300: '#f0abfc',
+    400: '#e879f9',
+    500: '#d946ef',
+    600: '#c026d3',
+    700: '#a21caf',
+    800: '#86198f',
+    900: '#701a75',
+  },
+  orange: {
+    50: '#fff7ed',
+    100: '#ffedd5',
+    200: '#fed7aa',
+    300: '#fdba74',
+    400: '#fb923c',
+    500: '#f97316',
+    600: '#ea580c',
+    700: '#c2410c',
+    800: '#9a3412',
+    900: '#7c2d12',
+  }
+};
+
+// Theme ids must match THEMES in src/appearance.js. The first one is the default.
+const themes = {
+  ocean: { primary: 'sky', secondary: 'fuchsia', accent: 'orange', background: ['#667eea', '#764ba2'] },
+  sunset: { primary: 'orange', secondary: 'fuchsia', accent: 'sky', background: ['#f6d365', '#fda085'] },
+  orchid: { primary: 'fuchsia', secondary: 'sky', accent: 'orange', background: ['#c471f5', '#fa71cd'] },
+};
+
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+const ROLES = ['primary', 'secondary', 'accent'];
+
+// '#0ea5e9' -> '14 165 233', the channel format Tailwind needs for opacity modifiers
+const toRgbChannels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(' ');
+
+const roleColor = (role) => Object.fromEntries(
+  SHADES.map(shade => [shade, `rgb(var(--color-${role}-${shade}) / <alpha-value>)`])
+);
+
+const themeVariables = ({ background, ...roles }) => ({
+  ...Object.fromEntries(ROLES.flatMap(role => (
+    SHADES.map(shade => [`--color-${role}-${shade}`, toRgbChannels(palettes[roles[role]][shade])])
+  ))),
+  '--app-background-from': background[0],
+  '--app-background-to': background[1],
+});
+
+const [defaultTheme] = Object.keys(themes);
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
+  darkMode: 'class',
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
   theme: {
     extend: {
       colors: {
-        primary: {
-          50: '#f0f9ff',
-          100: '#e0f2fe',
-          200: '#bae6fd',
-          300: '#7dd3fc',
-          400: '#38bdf8',
-          500: '#0ea5e9',
-          600: '#0284c7',
-          700: '#0369a1',
-          800: '#075985',
-          900: '#0c4a6e',
-        },
-        secondary: {
-          50: '#fdf4ff',
-          100: '#fae8ff',
-          200: '#f5d0fe',
-          300: '#f0abfc',
-          400: '#e879f9',
-          500: '#d946ef',
-          600: '#c026d3',
-          700: '#a21caf',
-          800: '#86198f',
-          900: '#701a75',
-        },
-        accent: {
-          50: '#fff7ed',
-          100: '#ffedd5',
-          200: '#fed7aa',
-          300: '#fdba74',
-          400: '#fb923c',
-          500: '#f97316',
-          600: '#ea580c',
-          700: '#c2410c',
-          800: '#9a3412',
-          900: '#7c2d12',
-        }
+        primary: roleColor('primary'),
+        secondary: roleColor('secondary'),
+        accent: roleColor('accent'),
       },
       fontFamily: {
         'sans': ['Inter', 'system-ui', 'sans-serif'],
@@ -60,5 +98,14 @@ module.exports = {
       }
     },
   },
-  plugins: [],
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase({
+        ':root': themeVariables(themes[defaultTheme]),
+        ...Object.fromEntries(Object.entries(themes).map(([name, theme]) => (
+          [`[data-theme="${name}"]`, themeVariables(theme)]
+        ))),
+      });
+    }),
+  ],
 }